@@ -3,33 +3,61 @@
 // =====================================================
 
 class VoiceDetector {
-  constructor(stream, onVoiceChange) {
+  // settings: SettingsStore donde se guarda la calibración por micrófono
+  constructor(stream, onVoiceChange, settings = null) {
     this.stream = stream;
     this.onVoiceChange = onVoiceChange;
+    this.settings = settings;
     this.audioContext = null;
     this.analyser = null;
     this.microphone = null;
     this.dataArray = null;
     this.isTalking = false;
     this.detectionInterval = null;
+    this.vadNode = null; // NUEVO: AudioWorkletNode
     
     // Configuración de umbrales
     this.threshold = -25;
     this.silenceThreshold = -30;
     this.silenceDelay = 500;
+    this.attackDelay = 40;
     this.lastSpeakTime = 0;
+    this.firstSpeakTime = 0;
+    this.lastLevelReport = 0;
+    this.levelIntervalMs = VoiceDetector.LEVEL_INTERVAL_MS;
+
+    // NUEVO: Calibración del ruido de fondo
+    this.noiseFloor = null;
+    this.appliedNoiseFloor = null;
+    this.calibrationSamples = null;
+    this.calibrationPromise = null;
+    this.lastCalibrationSave = 0;
     
-    this.init();
+    this.ready = this.init();
   }
 
   async init() {
     try {
       this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+      this.microphone = this.audioContext.createMediaStreamSource(this.stream);
+
+      // NUEVO: Detección en un AudioWorklet, fuera del hilo principal
+      if (this.audioContext.audioWorklet) {
+        try {
+          await this.startWorkletDetection();
+          console.log("✓ Voice detector initialized (AudioWorklet)");
+          return;
+        } catch (error) {
+          console.warn(
+            "⚠️ AudioWorklet VAD unavailable, using analyser:",
+            error
+          );
+        }
+      }
+
       this.analyser = this.audioContext.createAnalyser();
       this.analyser.fftSize = 2048;
       this.analyser.smoothingTimeConstant = 0.8;
-      
-      this.microphone = this.audioContext.createMediaStreamSource(this.stream);
       this.microphone.connect(this.analyser);
       
       this.dataArray = new Uint8Array(this.analyser.frequencyBinCount);
@@ -41,6 +69,50 @@ class VoiceDetector {
     }
   }
 
+  async startWorkletDetection() {
+    await this.audioContext.audioWorklet.addModule("vadProcessor.js");
+
+    this.vadNode = new AudioWorkletNode(this.audioContext, "vad-processor", {
+      numberOfInputs: 1,
+      numberOfOutputs: 0,
+      processorOptions: this.getWorkletConfig(),
+    });
+
+    this.vadNode.port.onmessage = (event) => {
+      const { type, isTalking, db } = event.data;
+
+      if (type === "state") {
+        this.isTalking = isTalking;
+        this.notifyChange(isTalking, db);
+      }
+      if (type === "level") {
+        this.reportLevel(db);
+      }
+    };
+
+    this.microphone.connect(this.vadNode);
+  }
+
+  getWorkletConfig() {
+    return {
+      threshold: this.threshold,
+      silenceThreshold: this.silenceThreshold,
+      attackMs: this.attackDelay,
+      releaseMs: this.silenceDelay,
+      levelIntervalMs: this.levelIntervalMs,
+    };
+  }
+
+  // Enviar los umbrales actuales al worklet
+  updateWorkletConfig() {
+    if (this.vadNode) {
+      this.vadNode.port.postMessage({
+        type: "config",
+        ...this.getWorkletConfig(),
+      });
+    }
+  }
+
   getVolumeDb() {
     this.analyser.getByteTimeDomainData(this.dataArray);
 
@@ -56,6 +128,7 @@ class VoiceDetector {
     return db;
   }
 
+  // Alternativa sin AudioWorklet: mismo comportamiento con un intervalo fijo
   startDetection() {
     this.detectionInterval = setInterval(() => {
       const volumeDb = this.getVolumeDb();
@@ -63,20 +136,39 @@ class VoiceDetector {
       
       if (volumeDb > this.threshold) {
         this.lastSpeakTime = now;
+        if (!this.firstSpeakTime) this.firstSpeakTime = now;
         
-        if (!this.isTalking) {
+        if (!this.isTalking && now - this.firstSpeakTime >= this.attackDelay) {
           this.isTalking = true;
           this.notifyChange(true, volumeDb);
         }
       } 
-      else if (volumeDb < this.silenceThreshold && this.isTalking) {
-        if (now - this.lastSpeakTime > this.silenceDelay) {
-          this.isTalking = false;
-          this.notifyChange(false, volumeDb);
+      else {
+        this.firstSpeakTime = 0;
+
+        if (volumeDb < this.silenceThreshold && this.isTalking) {
+          if (now - this.lastSpeakTime > this.silenceDelay) {
+            this.isTalking = false;
+            this.notifyChange(false, volumeDb);
+          }
         }
       }
-      this.notifyChange(this.isTalking, volumeDb);
-    });
+
+      if (now - this.lastLevelReport >= this.levelIntervalMs) {
+        this.lastLevelReport = now;
+        this.reportLevel(volumeDb);
+      }
+    }, VoiceDetector.FALLBACK_INTERVAL_MS);
+  }
+
+  // Durante la calibración los niveles llegan mucho más seguido; se quedan
+  // aquí para no saturar al servidor con mensajes voice-detection
+  reportLevel(db) {
+    const calibrating = Boolean(this.calibrationSamples);
+    this.handleLevel(db);
+    if (!calibrating) {
+      this.notifyChange(this.isTalking, db);
+    }
   }
 
   notifyChange(isTalking, volumeDb) {
@@ -85,6 +177,124 @@ class VoiceDetector {
     }
   }
 
+  // NUEVO: Medir el ruido ambiente durante unos segundos y colocar los
+  // umbrales por encima de él. Devuelve el ruido de fondo en dB (o null)
+  calibrate(durationMs = VoiceDetector.CALIBRATION_MS) {
+    if (this.calibrationPromise) return this.calibrationPromise;
+
+    this.calibrationPromise = this.ready.then(
+      () =>
+        new Promise((resolve) => {
+          console.log("🎚️ Calibrating noise floor...");
+          this.calibrationSamples = [];
+          this.setLevelInterval(VoiceDetector.CALIBRATION_INTERVAL_MS);
+
+          setTimeout(() => {
+            const samples = this.calibrationSamples;
+            this.calibrationSamples = null;
+            this.calibrationPromise = null;
+            this.setLevelInterval(VoiceDetector.LEVEL_INTERVAL_MS);
+
+            if (samples.length === 0) {
+              console.warn("⚠️ Calibration failed: no audio samples");
+              resolve(null);
+              return;
+            }
+
+            // Percentil bajo: robusto si el usuario habla durante la medición
+            samples.sort((a, b) => a - b);
+            const floor = samples[Math.floor(samples.length * 0.3)];
+
+            this.applyNoiseFloor(floor);
+            this.saveCalibration();
+            console.log(
+              `✓ Noise floor: ${this.noiseFloor.toFixed(1)} dB → threshold ${this.threshold.toFixed(1)} dB`
+            );
+            resolve(this.noiseFloor);
+          }, durationMs);
+        })
+    );
+
+    return this.calibrationPromise;
+  }
+
+  // Umbrales relativos al ruido de fondo medido
+  applyNoiseFloor(floor) {
+    this.noiseFloor = Math.min(
+      Math.max(floor, VoiceDetector.MIN_NOISE_FLOOR),
+      VoiceDetector.MAX_NOISE_FLOOR
+    );
+    this.appliedNoiseFloor = this.noiseFloor;
+    this.threshold = this.noiseFloor + VoiceDetector.THRESHOLD_MARGIN;
+    this.silenceThreshold = this.noiseFloor + VoiceDetector.SILENCE_MARGIN;
+    this.updateWorkletConfig();
+  }
+
+  setLevelInterval(ms) {
+    this.levelIntervalMs = ms;
+    this.updateWorkletConfig();
+  }
+
+  // Cada nivel reportado alimenta la calibración o la adaptación lenta
+  handleLevel(db) {
+    if (this.calibrationSamples) {
+      this.calibrationSamples.push(db);
+      return;
+    }
+
+    if (this.noiseFloor === null || this.isTalking || db > this.threshold) {
+      return;
+    }
+
+    // El ruido de fondo sube despacio y baja más rápido
+    const rate = db > this.noiseFloor ? 0.01 : 0.05;
+    this.noiseFloor += (db - this.noiseFloor) * rate;
+
+    if (Math.abs(this.noiseFloor - this.appliedNoiseFloor) >= 1) {
+      this.applyNoiseFloor(this.noiseFloor);
+    }
+
+    if (Date.now() - this.lastCalibrationSave > 30000) {
+      this.saveCalibration();
+    }
+  }
+
+  getDeviceId() {
+    const track = this.stream.getAudioTracks()[0];
+    return track?.getSettings?.().deviceId || "default";
+  }
+
+  // NUEVO: Calibración guardada por micrófono. Devuelve true si había una
+  loadSavedCalibration() {
+    const saved = this.readCalibrations()[this.getDeviceId()];
+    if (!saved || typeof saved.noiseFloor !== "number") return false;
+
+    this.applyNoiseFloor(saved.noiseFloor);
+    console.log(
+      `✓ Loaded noise floor for this microphone: ${saved.noiseFloor.toFixed(1)} dB`
+    );
+    return true;
+  }
+
+  saveCalibration() {
+    if (this.noiseFloor === null) return;
+
+    const calibrations = this.readCalibrations();
+    calibrations[this.getDeviceId()] = {
+      noiseFloor: Math.round(this.noiseFloor * 10) / 10,
+      updatedAt: Date.now(),
+    };
+    this.lastCalibrationSave = Date.now();
+
+    if (this.settings) {
+      this.settings.set("calibrations", calibrations);
+    }
+  }
+
+  readCalibrations() {
+    return { ...(this.settings?.get("calibrations") || {}) };
+  }
+
   setSensitivity(level) {
     switch (level) {
       case 'low':              // hablar normal sin gritar
@@ -105,12 +315,20 @@ class VoiceDetector {
       default:
         throw new Error(`Unknown sensitivity level: ${level}`);
     }
+
+    this.updateWorkletConfig();
   }
 
   dispose() {
     if (this.detectionInterval) {
       clearInterval(this.detectionInterval);
     }
+
+    if (this.vadNode) {
+      this.vadNode.port.onmessage = null;
+      this.vadNode.disconnect();
+      this.vadNode = null;
+    }
     
     if (this.microphone) {
       this.microphone.disconnect();
@@ -124,197 +342,729 @@ class VoiceDetector {
   }
 }
 
+VoiceDetector.LEVEL_INTERVAL_MS = 250; // Reportes de nivel: 4 por segundo
+VoiceDetector.FALLBACK_INTERVAL_MS = 50;
+VoiceDetector.CALIBRATION_MS = 3000;
+VoiceDetector.CALIBRATION_INTERVAL_MS = 50;
+VoiceDetector.THRESHOLD_MARGIN = 14; // dB sobre el ruido para empezar a hablar
+VoiceDetector.SILENCE_MARGIN = 6; // dB sobre el ruido para considerar silencio
+VoiceDetector.MIN_NOISE_FLOOR = -75;
+VoiceDetector.MAX_NOISE_FLOOR = -35;
+
+// =====================================================
+// CLASE: EffectPresetRegistry
+// Efectos descritos como datos: lista de nodos de Tone.js con sus
+// parámetros y una regla de coincidencia sobre los datos del jugador.
+// Los servidores pueden añadir o sustituir presets con config.effects.
+// =====================================================
+class EffectPresetRegistry {
+  constructor() {
+    this.presets = new Map();
+    this.version = 0; // Cambia cada vez que se recargan los presets
+    this.reset();
+  }
+
+  reset() {
+    this.presets.clear();
+    EffectPresetRegistry.DEFAULT_PRESETS.forEach((preset) =>
+      this.register(preset)
+    );
+    this.version++;
+  }
+
+  // Formato de un preset:
+  // {
+  //   name: "cathedral",
+  //   priority: 50,                    // Mayor gana (por defecto 0)
+  //   match: { biome: { in: ["..."] }, isInCave: true },
+  //   nodes: [                         // Cadena del micrófono saliente
+  //     { type: "Reverb", options: { decay: 6, wet: 0.5 } },
+  //     { id: "lp", type: "Filter", options: { type: "lowpass" } },
+  //     { type: "LFO", options: { ... }, modulates: "lp.frequency" },
+  //   ],
+  //   listenerNodes: [ ... ],          // Cadena de lo que escucho (opcional)
+  //   intensity: { field: "depth", min: 0, max: 40 },  // Opcional
+  // }
+  // Con intensity, cualquier opción puede escribirse { from, to } y se
+  // interpola según el valor del campo. { type: "Noise", mix: true } añade
+  // una fuente que se mezcla a la salida en lugar de encadenarse.
+  register(preset) {
+    if (!preset || typeof preset.name !== "string") {
+      throw new Error("Effect preset needs a name");
+    }
+
+    ["nodes", "listenerNodes"].forEach((stage) => {
+      (preset[stage] || []).forEach((spec) => {
+        if (!EffectPresetRegistry.NODE_TYPES.includes(spec.type)) {
+          throw new Error(
+            `Unknown node type "${spec.type}" in effect preset "${preset.name}"`
+          );
+        }
+      });
+    });
+
+    this.presets.set(preset.name, {
+      priority: 0,
+      match: null,
+      nodes: [],
+      listenerNodes: [],
+      ...preset,
+    });
+  }
+
+  // Acepta un array de presets o un objeto { nombre: preset }
+  loadFromConfig(effects) {
+    this.reset();
+    if (!effects) return;
+
+    const list = Array.isArray(effects)
+      ? effects
+      : Object.entries(effects).map(([name, preset]) => ({ name, ...preset }));
+
+    list.forEach((preset) => {
+      try {
+        this.register(preset);
+        console.log(`🎨 Effect preset loaded: ${preset.name}`);
+      } catch (e) {
+        console.warn("⚠️ Invalid effect preset:", e.message);
+      }
+    });
+  }
+
+  get(name) {
+    return this.presets.get(name) || this.presets.get("none");
+  }
+
+  // Intensidad 0–1 del preset según el campo continuo que declare
+  getIntensity(name, data) {
+    const rule = this.get(name)?.intensity;
+    if (!rule) return 1;
+
+    const value = data?.[rule.field];
+    if (typeof value !== "number") return rule.default ?? 1;
+
+    const min = rule.min ?? 0;
+    const max = rule.max ?? 1;
+    if (max === min) return 1;
+    return Math.min(Math.max((value - min) / (max - min), 0), 1);
+  }
+
+  // Preset con mayor prioridad cuya regla coincide con los datos del jugador
+  match(data) {
+    let best = null;
+
+    this.presets.forEach((preset) => {
+      if (!preset.match || !this.matchesRule(preset.match, data)) return;
+      if (!best || preset.priority > best.priority) best = preset;
+    });
+
+    return best ? best.name : "none";
+  }
+
+  // Cada campo admite un valor exacto o un objeto con operadores:
+  // eq, ne, in, gt, gte, lt, lte, exists
+  matchesRule(rule, data) {
+    return Object.entries(rule).every(([field, condition]) => {
+      const value = data?.[field];
+
+      if (condition === null || typeof condition !== "object") {
+        return value === condition;
+      }
+
+      return Object.entries(condition).every(([op, expected]) => {
+        switch (op) {
+          case "eq":
+            return value === expected;
+          case "ne":
+            return value !== expected;
+          case "in":
+            return Array.isArray(expected) && expected.includes(value);
+          case "gt":
+            return value > expected;
+          case "gte":
+            return value >= expected;
+          case "lt":
+            return value < expected;
+          case "lte":
+            return value <= expected;
+          case "exists":
+            return (value !== undefined && value !== null) === expected;
+          default:
+            console.warn(`⚠️ Unknown match operator: ${op}`);
+            return false;
+        }
+      });
+    });
+  }
+
+  // Crea los nodos de un preset. Devuelve { chain, nodes, sources, scaled }:
+  // chain son los nodos a encadenar en orden, sources las fuentes a mezclar
+  // en la salida, scaled las opciones que dependen de la intensidad y
+  // nodes todos los creados (para liberarlos)
+  async build(name, stage = "nodes", intensity = 1) {
+    const preset = this.get(name);
+    return this.buildNodes(preset?.[stage] || [], intensity);
+  }
+
+  async buildNodes(specs, intensity = 1) {
+    const byId = {};
+    const chain = [];
+    const nodes = [];
+    const sources = [];
+    const scaled = [];
+    const modulators = [];
+
+    for (const spec of specs) {
+      const options = {};
+      Object.entries(spec.options || {}).forEach(([key, value]) => {
+        if (EffectPresetRegistry.isRange(value)) {
+          options[key] = EffectPresetRegistry.interpolate(value, intensity);
+        } else {
+          options[key] = value;
+        }
+      });
+
+      const node = new Tone[spec.type](options);
+      nodes.push(node);
+      if (spec.id) byId[spec.id] = node;
+
+      Object.entries(spec.options || {}).forEach(([key, value]) => {
+        if (EffectPresetRegistry.isRange(value)) {
+          scaled.push({ node, key, range: value });
+        }
+      });
+
+      // Tone.Reverb genera su respuesta al impulso de forma asíncrona
+      if (node.ready) await node.ready;
+
+      if (spec.modulates) {
+        modulators.push({ node, target: spec.modulates });
+      } else if (spec.mix) {
+        node.start();
+        sources.push(node);
+      } else {
+        chain.push(node);
+      }
+    }
+
+    modulators.forEach(({ node, target }) => {
+      const [id, param] = target.split(".");
+      const targetParam = byId[id]?.[param];
+      if (!targetParam) {
+        console.warn(`⚠️ Modulation target not found: ${target}`);
+        return;
+      }
+      node.connect(targetParam);
+      if (node.start) node.start();
+    });
+
+    return { chain, nodes, sources, scaled };
+  }
+
+  // Actualiza en vivo las opciones { from, to } de una cadena ya creada
+  applyIntensity(scaled, intensity) {
+    scaled.forEach(({ node, key, range }) => {
+      const value = EffectPresetRegistry.interpolate(range, intensity);
+      const param = node[key];
+
+      if (param && typeof param.rampTo === "function") {
+        param.rampTo(value, 0.3);
+      } else {
+        node.set({ [key]: value });
+      }
+    });
+  }
+
+  static isRange(value) {
+    return (
+      value !== null &&
+      typeof value === "object" &&
+      typeof value.from === "number" &&
+      typeof value.to === "number"
+    );
+  }
+
+  static interpolate(range, intensity) {
+    return range.from + (range.to - range.from) * intensity;
+  }
+}
+
+// Tipos de nodo de Tone.js permitidos en los presets
+EffectPresetRegistry.NODE_TYPES = [
+  "AutoFilter",
+  "BitCrusher",
+  "Chebyshev",
+  "Chorus",
+  "Compressor",
+  "Distortion",
+  "EQ3",
+  "FeedbackDelay",
+  "Filter",
+  "Freeverb",
+  "FrequencyShifter",
+  "Gain",
+  "Gate",
+  "JCReverb",
+  "LFO",
+  "Limiter",
+  "Noise",
+  "Phaser",
+  "PingPongDelay",
+  "PitchShift",
+  "Reverb",
+  "Tremolo",
+  "Vibrato",
+];
+
+EffectPresetRegistry.DEFAULT_PRESETS = [
+  {
+    // Sin entorno: limpieza de la voz
+    name: "none",
+    nodes: [
+      { type: "Filter", options: { type: "highpass", frequency: 80 } },
+      { type: "Gate", options: { threshold: -45, smoothing: 0.15 } },
+      { type: "Filter", options: { type: "lowpass", frequency: 8000 } },
+      { type: "Compressor", options: { threshold: -28, ratio: 2.5 } },
+    ],
+  },
+  {
+    name: "underwater",
+    priority: 40,
+    match: { isUnderWater: true },
+    intensity: { field: "waterDepth", min: 0, max: 10, default: 0.5 },
+    nodes: [
+      {
+        type: "Filter",
+        options: { type: "lowpass", frequency: { from: 800, to: 300 }, Q: 1 },
+      },
+      { type: "Reverb", options: { decay: 2.8, wet: { from: 0.35, to: 0.65 } } },
+    ],
+    listenerNodes: [
+      {
+        type: "Filter",
+        options: { type: "lowpass", frequency: { from: 900, to: 350 }, Q: 1 },
+      },
+      { type: "Reverb", options: { decay: 2, wet: { from: 0.2, to: 0.45 } } },
+    ],
+  },
+  {
+    // El Deep Dark también es cueva: necesita más prioridad que "cave"
+    name: "deep_dark",
+    priority: 35,
+    match: { biome: "deep_dark" },
+    intensity: { field: "depth", min: 0, max: 60, default: 1 },
+    nodes: [
+      { type: "EQ3", options: { low: 2, mid: -2, high: -8 } },
+      { type: "Filter", options: { type: "lowpass", frequency: 2500 } },
+      { type: "Reverb", options: { decay: 9, wet: { from: 0.45, to: 0.7 } } },
+    ],
+    listenerNodes: [
+      { type: "Filter", options: { type: "lowpass", frequency: 3000 } },
+      { type: "Reverb", options: { decay: 7, wet: { from: 0.3, to: 0.5 } } },
+    ],
+  },
+  {
+    // Espacio cálido y algo distorsionado en todo el Nether
+    name: "nether",
+    priority: 32,
+    match: { dimension: "nether" },
+    nodes: [
+      { type: "EQ3", options: { low: 3, mid: 0, high: -4 } },
+      { type: "Distortion", options: { distortion: 0.15, wet: 0.3 } },
+      { type: "Reverb", options: { decay: 3, wet: 0.35 } },
+    ],
+    listenerNodes: [
+      { type: "EQ3", options: { low: 2, mid: 0, high: -3 } },
+      { type: "Reverb", options: { decay: 2.5, wet: 0.2 } },
+    ],
+  },
+  {
+    name: "cave",
+    priority: 30,
+    match: { isInCave: true },
+    intensity: { field: "depth", min: 0, max: 40, default: 0.5 },
+    nodes: [
+      { type: "EQ3", options: { low: -2, mid: 0, high: -1 } },
+      { type: "Reverb", options: { decay: 5, wet: { from: 0.4, to: 0.7 } } },
+      { type: "FeedbackDelay", options: { delayTime: 0.15, feedback: 0.35 } },
+    ],
+    listenerNodes: [
+      { type: "Reverb", options: { decay: 4, wet: { from: 0.25, to: 0.5 } } },
+    ],
+  },
+  {
+    name: "mountain",
+    priority: 20,
+    match: { isInMountain: true },
+    nodes: [
+      { type: "EQ3", options: { low: -2, mid: 0, high: -1 } },
+      { type: "Reverb", options: { decay: 4, wet: 0.35 } },
+      { type: "FeedbackDelay", options: { delayTime: 0.25, feedback: 0.25 } },
+    ],
+    listenerNodes: [
+      {
+        type: "FeedbackDelay",
+        options: { delayTime: 0.3, feedback: 0.2, wet: 0.25 },
+      },
+    ],
+  },
+  {
+    name: "buried",
+    priority: 10,
+    match: { isBuried: true },
+    nodes: [
+      { type: "Filter", options: { type: "highpass", frequency: 150, Q: 1 } },
+      {
+        id: "muffled",
+        type: "Filter",
+        options: { type: "lowpass", frequency: 250, Q: 2 },
+      },
+      { type: "Reverb", options: { decay: 4, wet: 0.7 } },
+      { type: "Gain", options: { gain: 0.8 } },
+      {
+        type: "LFO",
+        options: { frequency: "0.3Hz", min: 200, max: 400 },
+        modulates: "muffled.frequency",
+      },
+    ],
+    listenerNodes: [
+      { type: "Filter", options: { type: "lowpass", frequency: 300, Q: 1 } },
+      { type: "Gain", options: { gain: 0.7 } },
+    ],
+  },
+  {
+    // Tormenta: más ruido de enmascaramiento y más amortiguación que la lluvia
+    name: "thunder",
+    priority: 6,
+    match: { weather: "thunder" },
+    nodes: [
+      { type: "Filter", options: { type: "lowpass", frequency: 4500 } },
+      { type: "Noise", options: { type: "pink", volume: -32 }, mix: true },
+    ],
+    listenerNodes: [
+      { type: "Filter", options: { type: "lowpass", frequency: 5000 } },
+    ],
+  },
+  {
+    name: "rain",
+    priority: 5,
+    match: { weather: "rain" },
+    nodes: [
+      { type: "Filter", options: { type: "lowpass", frequency: 6000 } },
+      { type: "Noise", options: { type: "pink", volume: -40 }, mix: true },
+    ],
+    listenerNodes: [
+      { type: "Filter", options: { type: "lowpass", frequency: 7000 } },
+    ],
+  },
+];
+
 // =====================================================
 // CLASE: AudioEffectsManager
 // Maneja efectos de audio (reverb, cave, underwater, etc.)
 // =====================================================
 class AudioEffectsManager {
-  constructor() {
-    this.reverb = null;
-    this.filter = null;
-    this.chorus = null;
-    this.dynamicNodes = [];
+  constructor(presets) {
+    this.presets = presets; // EffectPresetRegistry
     this.currentEffect = "none";
+    this.appliedPresetsVersion = null;
     this.inputNode = null; // Ahora será Tone.Gain
+    this.outputNode = null; // NUEVO: Mezcla persistente de las cadenas
     this.processedStream = null;
-    this.lastEffectChange = 0; // NUEVO: Para throttling
+    // NUEVO: Cadena activa { head, fader, nodes } y cambios pendientes
+    this.activeChain = null;
+    this.isTransitioning = false;
+    this.pendingEffect = null;
+    this.currentIntensity = 1;
+    // NUEVO: Cambiador de voz, va antes del efecto de entorno:
+    // inputNode → voz → voiceOutput → efecto de entorno → outputNode
+    this.voiceOutput = null;
+    this.voiceHead = null;
+    this.voiceNodes = [];
+    this.currentVoice = "none";
+    this.userVoice = "none";
+    this.forcedVoice = null; // Voz impuesta por un admin (data.voice)
+    this.voiceLocked = false; // data.voiceLocked
+    this.isApplyingVoice = false;
+    this.pendingVoice = null;
+    this.onVoiceChange = null;
+    this.preRollDelay = null;
+    this.preRollMs = 0;
   }
 
   async init() {
-    this.reverb = new Tone.Reverb({ decay: 2.5, wet: 0.35 });
-    this.filter = new Tone.Filter({ type: "lowpass", frequency: 1200 });
-    this.chorus = new Tone.Chorus({
-      frequency: 1.5,
-      delayTime: 3.5,
-      depth: 0.7,
-      wet: 0.25,
-    });
-    await this.reverb.generate();
     console.log("✓ Audio effects initialized");
   }
 
   createInputNode(micVolume = 1.0) {
+    const previousInput = this.inputNode;
+
     // CRÍTICO: Usar Tone.Gain en lugar de nodo nativo
     this.inputNode = new Tone.Gain(micVolume);
-    return this.inputNode;
-  }
 
-  async applyEffect(effect, peerConnections) {
-    if (!this.inputNode) {
-      console.error("❌ No input node available");
-      return;
+    // La salida es persistente: la nueva entrada alimenta la cadena de voz
+    this.ensureOutput();
+    this.inputNode.connect(this.voiceHead);
+    if (previousInput) {
+      previousInput.dispose();
     }
 
-    // CRÍTICO: Throttle para evitar cambios muy frecuentes
-    const now = Date.now();
-    if (this.currentEffect === effect && this.processedStream !== null) {
-      return;
+    // La voz elegida antes de que existiera la cadena (ajustes guardados)
+    // se aplica ahora
+    if (this.currentVoice !== this.getActiveVoice()) {
+      this.applyVoice(this.getActiveVoice());
     }
 
-    // Limitar a 1 cambio por segundo
-    if (this.processedStream !== null && now - this.lastEffectChange < 1000) {
-      return;
-    }
-    this.lastEffectChange = now;
+    return this.inputNode;
+  }
 
-    console.log(`🎨 Changing effect: ${this.currentEffect} → ${effect}`);
+  // NUEVO: Un único MediaStreamDestination para toda la sesión, así el
+  // track que reciben los peers nunca cambia al cambiar de efecto
+  ensureOutput() {
+    if (this.outputNode) return;
 
     const audioContext = Tone.context.rawContext || Tone.context._context;
     const dest = audioContext.createMediaStreamDestination();
 
-    // Limpiar efectos anteriores
-    this.dynamicNodes.forEach((n) => {
-      try {
-        n.disconnect();
-        if (n.dispose) n.dispose();
-      } catch (e) {}
-    });
-    this.dynamicNodes = [];
-    this.inputNode.disconnect();
-
-    // Crear y conectar nuevos efectos
-    switch (effect) {
-      case "underwater":
-        this.filter.type = "lowpass";
-        this.filter.frequency.value = 500;
-        this.filter.Q.value = 1;
-        this.reverb.decay = 2.8;
-        this.reverb.wet.value = 0.5;
-
-        // CORRECTO: Todos son nodos de Tone.js
-        this.inputNode.chain(this.filter, this.reverb, dest);
-        break;
-
-      case "cave":
-        const caveDelay = new Tone.FeedbackDelay("0.15", 0.35);
-        const caveReverb = new Tone.Reverb({ decay: 5, wet: 0.6 });
-        const caveEQ = new Tone.EQ3(-2, 0, -1);
-        this.dynamicNodes.push(caveDelay, caveReverb, caveEQ);
+    this.outputNode = new Tone.Gain(1);
+    // NUEVO: Retardo de pre-roll para el modo activado por voz
+    this.preRollDelay = new Tone.Delay(this.preRollMs / 1000, 1);
+    this.outputNode.chain(this.preRollDelay, dest);
+    this.processedStream = dest.stream;
 
-        await caveReverb.ready;
+    this.voiceOutput = new Tone.Gain(1);
+    this.voiceHead = this.voiceOutput;
+  }
 
-        // CORRECTO: Todos son nodos de Tone.js
-        this.inputNode.chain(caveEQ, caveReverb, caveDelay, dest);
-        break;
+  // NUEVO: Retrasar la salida (ms) para el pre-roll del modo por voz
+  setPreRoll(ms) {
+    this.preRollMs = ms;
+    if (this.preRollDelay) {
+      this.preRollDelay.delayTime.value = ms / 1000;
+    }
+  }
 
-      case "mountain":
-        const mountainDelay = new Tone.FeedbackDelay("0.25", 0.25);
-        const mountainReverb = new Tone.Reverb({ decay: 4, wet: 0.35 });
-        const mountainEQ = new Tone.EQ3(-2, 0, -1);
-        this.dynamicNodes.push(mountainDelay, mountainReverb, mountainEQ);
+  // NUEVO: Voz elegida por el usuario. Devuelve false si un admin la bloqueó
+  setUserVoice(voice) {
+    if (this.isVoiceLocked()) return false;
 
-        await mountainReverb.ready;
+    this.userVoice = voice;
+    this.applyVoice(this.getActiveVoice());
+    return true;
+  }
 
-        this.inputNode.chain(mountainEQ, mountainReverb, mountainDelay, dest);
-        break;
+  // NUEVO: Voz forzada o bloqueada desde los datos de Minecraft
+  setVoiceOverride(forcedVoice, locked) {
+    if (forcedVoice === this.forcedVoice && locked === this.voiceLocked) return;
 
-      case "buried":
-        const muffled = new Tone.Filter({
-          type: "lowpass",
-          frequency: 250,
-          Q: 2,
-        });
-        const secondFilter = new Tone.Filter({
-          type: "highpass",
-          frequency: 150,
-          Q: 1,
-        });
+    this.forcedVoice = forcedVoice;
+    this.voiceLocked = locked;
+    console.log(
+      `🎭 Voice override: ${forcedVoice || "none"}${locked ? " (locked)" : ""}`
+    );
 
-        const lfo = new Tone.LFO("0.3Hz", 200, 400).start();
-        lfo.connect(muffled.frequency);
+    this.applyVoice(this.getActiveVoice());
+    if (this.onVoiceChange) {
+      this.onVoiceChange(this.getActiveVoice(), this.isVoiceLocked());
+    }
+  }
 
-        const buriedReverb = new Tone.Reverb({ decay: 4, wet: 0.7 });
-        const gainNode = new Tone.Gain(0.8);
+  getActiveVoice() {
+    return this.forcedVoice || this.userVoice;
+  }
 
-        this.dynamicNodes.push(
-          muffled,
-          secondFilter,
-          lfo,
-          buriedReverb,
-          gainNode
-        );
+  isVoiceLocked() {
+    return this.voiceLocked || !!this.forcedVoice;
+  }
 
-        await buriedReverb.ready;
+  setOnVoiceChange(callback) {
+    this.onVoiceChange = callback;
+  }
 
-        this.inputNode.chain(
-          secondFilter,
-          muffled,
-          buriedReverb,
-          gainNode,
-          dest
-        );
-        break;
+  async applyVoice(voice) {
+    if (!AudioEffectsManager.VOICE_PRESETS[voice]) {
+      console.warn(`⚠️ Unknown voice: ${voice}`);
+      voice = "none";
+    }
+    if (!this.voiceOutput) return;
 
-        default:
-          const noiseGate = new Tone.Gate(-45, 0.15); 
-          const cleanFilter = new Tone.Filter({ type: "highpass", frequency: 80 });
-          const lowpassFilter = new Tone.Filter({ type: "lowpass", frequency: 8000 });
-          const compressor = new Tone.Compressor(-28, 2.5);
-          
-          this.dynamicNodes.push(noiseGate, cleanFilter, lowpassFilter, compressor);
-          
-          this.inputNode.chain(cleanFilter, noiseGate, lowpassFilter, compressor, dest);
-          break;
+    // Durante un cambio currentVoice aún es la anterior: se guarda siempre
+    // el último pedido y se compara cuando termine
+    if (this.isApplyingVoice) {
+      this.pendingVoice = voice;
+      return;
     }
+    if (voice === this.currentVoice) return;
+    this.isApplyingVoice = true;
 
-    this.processedStream = dest.stream;
-    this.currentEffect = effect;
+    console.log(`🎭 Changing voice: ${this.currentVoice} → ${voice}`);
 
-    if (this.processedStream && peerConnections && peerConnections.size > 0) {
-      const newTrack = this.processedStream.getAudioTracks()[0];
+    // Si la voz no se puede construir se deja la voz sin procesar
+    let built = { chain: [], nodes: [] };
+    let applied = voice;
+    try {
+      built = await this.presets.buildNodes(
+        AudioEffectsManager.VOICE_PRESETS[voice]
+      );
+    } catch (e) {
+      console.error(`❌ Error building voice ${voice}:`, e);
+      applied = "none";
+    }
+    const { chain, nodes } = built;
 
-      if (!newTrack) {
-        console.error("❌ No audio track found in processedStream");
-        return;
+    try {
+      // Fundido corto para evitar clics al reconectar
+      this.voiceOutput.gain.rampTo(0, 0.05);
+      await new Promise((resolve) => setTimeout(resolve, 60));
+
+      // Solo se suelta la cabeza anterior: inputNode también alimenta otros
+      // nodos (el medidor de AudioCheck)
+      const previousHead = this.voiceHead;
+      if (this.inputNode) this.inputNode.disconnect(previousHead);
+      this.voiceNodes.forEach((n) => {
+        try {
+          n.disconnect();
+          if (n.dispose) n.dispose();
+        } catch (e) {}
+      });
+
+      this.voiceNodes = nodes;
+      this.voiceHead = chain[0] || this.voiceOutput;
+      if (chain.length > 0) {
+        chain[0].chain(...chain.slice(1), this.voiceOutput);
       }
+      if (this.inputNode) this.inputNode.connect(this.voiceHead);
+      this.currentVoice = applied;
+    } catch (e) {
+      console.error(`❌ Error applying voice ${voice}:`, e);
+      nodes.forEach((n) => {
+        try {
+          n.disconnect();
+          if (n.dispose) n.dispose();
+        } catch (err) {}
+      });
+      this.voiceNodes = [];
+      this.voiceHead = this.voiceOutput;
+      if (this.inputNode) this.inputNode.connect(this.voiceOutput);
+      this.currentVoice = "none";
+    } finally {
+      this.voiceOutput.gain.rampTo(1, 0.05);
+      this.isApplyingVoice = false;
+    }
 
-      const updatePromises = [];
+    if (this.pendingVoice !== null) {
+      const next = this.pendingVoice;
+      this.pendingVoice = null;
+      await this.applyVoice(next);
+    }
+  }
 
-      peerConnections.forEach((peerData, gamertag) => {
-        const pc = peerData.pc || peerData;
-        const senders = pc.getSenders();
-        const audioSender = senders.find(
-          (s) => s.track && s.track.kind === "audio"
-        );
+  // intensity (0–1) escala las opciones { from, to } del preset
+  async applyEffect(effect, intensity = 1) {
+    if (!this.inputNode) {
+      console.error("❌ No input node available");
+      return;
+    }
 
-        if (audioSender) {
-          const promise = audioSender
-            .replaceTrack(newTrack)
-            .then(() => {
-              console.log(`✓ Track replaced for ${gamertag} (${effect})`);
-            })
-            .catch((e) => {
-              console.error(`❌ Error replacing track for ${gamertag}:`, e);
-            });
-          updatePromises.push(promise);
-        }
-      });
+    // Cuantizar para no actualizar parámetros con cada bloque que se mueve
+    const level = Math.round(intensity * 20) / 20;
 
-      await Promise.all(updatePromises);
-      console.log(`✅ Effect applied to ${updatePromises.length} peer(s)`);
+    // Durante un crossfade solo se guarda el último efecto pedido (aunque
+    // coincida con currentEffect, que puede ser aún el anterior)
+    if (this.isTransitioning) {
+      this.pendingEffect = { effect, intensity: level };
+      return;
+    }
+
+    if (
+      this.currentEffect === effect &&
+      this.appliedPresetsVersion === this.presets.version &&
+      this.activeChain
+    ) {
+      this.setIntensity(level);
+      return;
+    }
+    this.isTransitioning = true;
+
+    console.log(`🎨 Changing effect: ${this.currentEffect} → ${effect}`);
+
+    this.ensureOutput();
+
+    // La cadena nueva corre en paralelo con la anterior durante el fundido
+    let built;
+    try {
+      built = await this.presets.build(effect, "nodes", level);
+    } catch (e) {
+      console.error(`❌ Error building effect ${effect}:`, e);
+      this.isTransitioning = false;
+      return;
+    }
+    const { chain, nodes, sources, scaled } = built;
+    const fader = new Tone.Gain(0);
+    this.voiceOutput.chain(...chain, fader);
+    sources.forEach((source) => source.connect(fader));
+    fader.connect(this.outputNode);
+
+    const previousChain = this.activeChain;
+    this.activeChain = { head: chain[0] || fader, fader, nodes, scaled };
+    this.currentEffect = effect;
+    this.currentIntensity = level;
+    this.appliedPresetsVersion = this.presets.version;
+
+    // Crossfade de igual potencia: sin(t) entra, cos(t) sale
+    const duration = AudioEffectsManager.CROSSFADE_TIME;
+    const steps = 32;
+    const fadeIn = [];
+    const fadeOut = [];
+    for (let i = 0; i <= steps; i++) {
+      const t = (i / steps) * (Math.PI / 2);
+      fadeIn.push(Math.sin(t));
+      fadeOut.push(Math.cos(t));
+    }
+
+    const now = Tone.now();
+    fader.gain.setValueCurveAtTime(fadeIn, now, duration);
+    if (previousChain) {
+      previousChain.fader.gain.cancelScheduledValues(now);
+      previousChain.fader.gain.setValueCurveAtTime(fadeOut, now, duration);
+    }
+
+    if (previousChain) {
+      await new Promise((resolve) =>
+        setTimeout(resolve, duration * 1000 + 50)
+      );
+      this.disposeChain(previousChain);
+    }
+    this.isTransitioning = false;
+    console.log(`✅ Effect applied: ${effect}`);
+
+    if (this.pendingEffect !== null) {
+      const next = this.pendingEffect;
+      this.pendingEffect = null;
+      await this.applyEffect(next.effect, next.intensity);
     }
   }
 
+  setIntensity(intensity) {
+    if (!this.activeChain || intensity === this.currentIntensity) return;
+
+    this.currentIntensity = intensity;
+    this.presets.applyIntensity(this.activeChain.scaled, intensity);
+  }
+
+  disposeChain(chain) {
+    try {
+      this.voiceOutput.disconnect(chain.head);
+    } catch (e) {}
+
+    [...chain.nodes, chain.fader].forEach((n) => {
+      try {
+        n.disconnect();
+        if (n.dispose) n.dispose();
+      } catch (e) {}
+    });
+  }
+
   updateVolume(volume, peerConnections = null) {
     if (this.inputNode) {
       const oldVolume = this.inputNode.gain.value;
@@ -336,6 +1086,185 @@ class AudioEffectsManager {
     return this.processedStream;
   }
 
+  // Mezcla procesada dentro de Web Audio, antes del track que se envía
+  // (que PTT y el modo por voz desactivan)
+  getOutputNode() {
+    return this.outputNode;
+  }
+
+  getCurrentEffect() {
+    return this.currentEffect;
+  }
+}
+
+AudioEffectsManager.CROSSFADE_TIME = 0.6; // segundos
+
+// Voces de rol, mismo formato de nodos que EffectPresetRegistry
+AudioEffectsManager.VOICE_PRESETS = {
+  none: [],
+  pitch_up: [{ type: "PitchShift", options: { pitch: 5 } }],
+  pitch_down: [{ type: "PitchShift", options: { pitch: -5 } }],
+  robot: [
+    {
+      type: "FeedbackDelay",
+      options: { delayTime: 0.012, feedback: 0.6, wet: 0.6 },
+    },
+    { type: "BitCrusher", options: { bits: 8 } },
+  ],
+  monster: [
+    { type: "PitchShift", options: { pitch: -9 } },
+    { type: "EQ3", options: { low: 4, mid: 0, high: -3 } },
+    { type: "Distortion", options: { distortion: 0.3, wet: 0.4 } },
+  ],
+  villager: [
+    { type: "PitchShift", options: { pitch: 3 } },
+    { type: "Filter", options: { type: "bandpass", frequency: 1200, Q: 1.5 } },
+    { type: "Vibrato", options: { frequency: 6, depth: 0.2 } },
+  ],
+  whisper: [
+    { type: "Filter", options: { type: "highpass", frequency: 1500 } },
+    {
+      type: "Chorus",
+      options: { frequency: 4, delayTime: 2, depth: 0.5, wet: 0.3 },
+    },
+    { type: "Gain", options: { gain: 0.6 } },
+  ],
+};
+
+// =====================================================
+// CLASE: ListenerEffectsManager
+// Efectos sobre la mezcla de voces entrantes: escucho el mundo
+// como lo escucha mi jugador (bajo el agua, en una cueva, etc.)
+// =====================================================
+class ListenerEffectsManager {
+  constructor(presets) {
+    this.presets = presets; // EffectPresetRegistry
+    this.input = null;
+    this.output = null;
+    this.nodes = [];
+    this.currentEffect = "none";
+    this.appliedPresetsVersion = null;
+    this.enabled = true; // Preferencia del usuario
+    this.allowedByRoom = true; // config.listenerEffects de la sala
+    this.pendingEffect = null;
+    this.isApplying = false;
+    this.scaled = [];
+    this.currentIntensity = 1;
+    this.failedEffect = null; // "efecto@versión" que no se pudo construir
+  }
+
+  // destination: nodo nativo del mezclador de salida (AudioOutputManager)
+  init(destination = null) {
+    this.input = new Tone.Gain(1);
+    this.output = new Tone.Gain(1);
+    if (destination) {
+      this.output.connect(destination);
+    } else {
+      this.output.toDestination();
+    }
+    this.input.connect(this.output);
+    console.log("✓ Listener effects initialized");
+  }
+
+  // Nodo nativo al que se conectan las cadenas de los participantes remotos
+  getInputNode() {
+    return this.input ? this.input.input : null;
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    console.log(`🎧 Listener effects ${enabled ? "enabled" : "disabled"}`);
+  }
+
+  setAllowedByRoom(allowed) {
+    this.allowedByRoom = allowed;
+  }
+
+  isActive() {
+    return this.enabled && this.allowedByRoom;
+  }
+
+  async applyEffect(effect, intensity = 1) {
+    if (!this.input) return;
+
+    const target = this.isActive() ? effect : "none";
+    const level = Math.round(intensity * 20) / 20;
+
+    // Si ya hay un cambio en curso, quedarse solo con el último pedido
+    if (this.isApplying) {
+      this.pendingEffect = { effect, intensity: level };
+      return;
+    }
+    if (
+      target === this.currentEffect &&
+      this.appliedPresetsVersion === this.presets.version
+    ) {
+      if (level !== this.currentIntensity) {
+        this.currentIntensity = level;
+        this.presets.applyIntensity(this.scaled, level);
+      }
+      return;
+    }
+    // Un preset de la sala que ya falló no se reintenta en cada update
+    if (this.failedEffect === `${target}@${this.presets.version}`) return;
+
+    this.isApplying = true;
+    console.log(`🎧 Listener effect: ${this.currentEffect} → ${target}`);
+
+    // Si el preset no se puede construir se deja el camino seco
+    let built = { chain: [], nodes: [], sources: [], scaled: [] };
+    let applied = target;
+    if (target !== "none") {
+      try {
+        built = await this.presets.build(target, "listenerNodes", level);
+      } catch (e) {
+        console.error(`❌ Error building listener effect ${target}:`, e);
+        this.failedEffect = `${target}@${this.presets.version}`;
+        applied = "none";
+      }
+    }
+    const { chain, nodes, sources, scaled } = built;
+
+    try {
+      // Fundido corto para evitar clics al reconectar
+      this.output.gain.rampTo(0, 0.05);
+      await new Promise((resolve) => setTimeout(resolve, 50));
+
+      this.input.disconnect();
+      this.nodes.forEach((n) => {
+        try {
+          n.disconnect();
+          if (n.dispose) n.dispose();
+        } catch (e) {}
+      });
+
+      this.nodes = nodes;
+      this.scaled = scaled;
+      this.input.chain(...chain, this.output);
+      sources.forEach((source) => source.connect(this.output));
+      this.currentEffect = applied;
+      this.currentIntensity = level;
+      this.appliedPresetsVersion = this.presets.version;
+    } catch (e) {
+      console.error(`❌ Error applying listener effect ${target}:`, e);
+      this.input.disconnect();
+      this.input.connect(this.output);
+      this.nodes = [];
+      this.scaled = [];
+      this.currentEffect = "none";
+    } finally {
+      // Nunca dejar el audio entrante silenciado
+      this.output.gain.rampTo(1, 0.05);
+      this.isApplying = false;
+    }
+
+    if (this.pendingEffect !== null) {
+      const next = this.pendingEffect;
+      this.pendingEffect = null;
+      await this.applyEffect(next.effect, next.intensity);
+    }
+  }
+
   getCurrentEffect() {
     return this.currentEffect;
   }
@@ -350,11 +1279,51 @@ class PushToTalkManager {
     this.micManager = micManager;
     this.webrtcManager = webrtcManager;
     this.enabled = false;
-    this.key = "KeyV";
-    this.keyDisplay = "V";
-    this.isKeyPressed = false;
+    // NUEVO: Perfiles con nombre, todos activos a la vez. Cada uno tiene su
+    // binding, modo ("hold" = mantener, "toggle" = pulsar para abrir y otra
+    // vez para cerrar), una cola en ms antes de cortar al soltar y un
+    // talkMode ("normal" o "whisper": solo me oyen los que están cerca).
+    // El binding puede ser una tecla (con modificadores), un botón del
+    // ratón o un botón de mando:
+    // { type: "key", code, ctrl, alt, shift, meta }
+    // { type: "mouse", button }
+    // { type: "gamepad", button }
+    this.profiles = [
+      {
+        name: "PTT V",
+        mode: "hold",
+        binding: { type: "key", code: "KeyV" },
+        display: "V",
+        releaseDelayMs: 200,
+        talkMode: "normal",
+      },
+      {
+        name: "Whisper",
+        mode: "hold",
+        binding: { type: "none" }, // El usuario elige la tecla
+        display: "Click to set",
+        releaseDelayMs: 200,
+        talkMode: "whisper",
+      },
+    ];
+    this.whisperRadius = 4; // Bloques
+    // NUEVO: Botón en pantalla para dispositivos táctiles. No aparece en la
+    // lista de perfiles; su modo cambia con setTouchLatch
+    this.touchProfile = {
+      name: "Touch",
+      mode: "hold",
+      binding: { type: "touch" },
+      display: "Touch",
+      releaseDelayMs: 200,
+      talkMode: "normal",
+    };
+    this.activeProfiles = new Set(); // Nombres de perfiles que mantienen abierto
+    this.pressedProfiles = new Set(); // Bindings físicamente pulsados
+    this.releaseTimer = null;
     this.isTalking = false;
+    this.talkMode = "normal";
     this.onTalkingChange = null;
+    this.gamepadFrame = null;
   }
 
   setWebRTCManager(webrtcManager) {
@@ -363,23 +1332,29 @@ class PushToTalkManager {
 
   setEnabled(enabled) {
     this.enabled = enabled;
+    this.activeProfiles.clear();
+    this.pressedProfiles.clear();
+    clearTimeout(this.releaseTimer);
+    this.releaseTimer = null;
 
     if (enabled) {
       // Cuando se activa PTT, mutear completamente
       this.isTalking = false;
-      this.isKeyPressed = false;
       this.muteAllSenders();
       this.notifyTalkingChange();
       console.log(
-        `🎙️ Push-to-Talk enabled (Key: ${this.keyDisplay}) - Microphone MUTED by default`
+        `🎙️ Push-to-Talk enabled (${this.describeProfiles()}) - Microphone MUTED by default`
       );
     } else {
       // Al desactivar PTT, activar el micrófono
       this.isTalking = true;
+      this.hideTalkingIndicator();
       this.unmuteAllSenders();
       this.notifyTalkingChange();
       console.log("🎙️ Push-to-Talk disabled - Microphone ACTIVE");
     }
+
+    this.updateGamepadPolling();
   }
 
   // NUEVO: Mutear todos los senders de WebRTC
@@ -389,17 +1364,7 @@ class PushToTalkManager {
       return;
     }
 
-    let mutedCount = 0;
-    this.webrtcManager.peerConnections.forEach((pc, gamertag) => {
-      // pc es directamente el RTCPeerConnection, no un objeto wrapper
-      const senders = pc.getSenders();
-      senders.forEach((sender) => {
-        if (sender.track && sender.track.kind === "audio") {
-          sender.track.enabled = false;
-          mutedCount++;
-        }
-      });
-    });
+    const mutedCount = this.webrtcManager.setAudioSendersEnabled(false);
 
     console.log(
       `🔇 Muted ${mutedCount} audio sender(s) across ${this.webrtcManager.peerConnections.size} peer(s)`
@@ -413,59 +1378,356 @@ class PushToTalkManager {
       return;
     }
 
-    let unmutedCount = 0;
-    this.webrtcManager.peerConnections.forEach((pc, gamertag) => {
-      // pc es directamente el RTCPeerConnection, no un objeto wrapper
-      const senders = pc.getSenders();
-      senders.forEach((sender) => {
-        if (sender.track && sender.track.kind === "audio") {
-          sender.track.enabled = true;
-          unmutedCount++;
-        }
-      });
-    });
+    const unmutedCount = this.webrtcManager.setAudioSendersEnabled(true);
 
     console.log(
       `🔊 Unmuted ${unmutedCount} audio sender(s) across ${this.webrtcManager.peerConnections.size} peer(s)`
     );
   }
 
+  // NUEVO: Gestión de perfiles
+  getProfiles() {
+    return this.profiles;
+  }
+
+  getProfile(name) {
+    return this.profiles.find((p) => p.name === name);
+  }
+
+  // NUEVO: Reemplazar todos los perfiles (ajustes guardados)
+  setProfiles(profiles) {
+    if (!Array.isArray(profiles)) return;
+
+    // Descartar perfiles mal formados (p. ej. de un archivo importado):
+    // sin binding válido romperían todos los eventos de teclado y ratón
+    const valid = profiles.filter(
+      (profile) =>
+        profile &&
+        typeof profile.name === "string" &&
+        profile.name !== "" &&
+        PushToTalkManager.BINDING_TYPES.includes(profile.binding?.type)
+    );
+    if (valid.length < profiles.length) {
+      console.warn(
+        `⚠️ Ignored ${profiles.length - valid.length} invalid PTT profile(s)`
+      );
+    }
+    if (valid.length === 0) return;
+
+    this.activeProfiles.clear();
+    this.pressedProfiles.clear();
+    this.updateTalking(0);
+    this.profiles = valid.map((profile) => ({
+      mode: "hold",
+      releaseDelayMs: 0,
+      talkMode: "normal",
+      ...profile,
+    }));
+    this.updateGamepadPolling();
+  }
+
+  addProfile(profile) {
+    if (
+      this.getProfile(profile.name) ||
+      profile.name === this.touchProfile.name
+    ) {
+      throw new Error(`PTT profile "${profile.name}" already exists`);
+    }
+
+    this.profiles.push({
+      mode: "hold",
+      releaseDelayMs: 0,
+      talkMode: "normal",
+      ...profile,
+    });
+    this.updateGamepadPolling();
+    console.log(`➕ PTT profile added: ${profile.name}`);
+  }
+
+  // Cambiar nombre, modo, cola o binding de un perfil existente
+  updateProfile(name, changes) {
+    const profile = this.getProfile(name);
+    if (!profile) return;
+
+    if (
+      changes.name &&
+      changes.name !== name &&
+      this.getProfile(changes.name)
+    ) {
+      throw new Error(`PTT profile "${changes.name}" already exists`);
+    }
+
+    this.releaseProfile(profile, true);
+    Object.assign(profile, changes);
+    this.updateGamepadPolling();
+  }
+
+  removeProfile(name) {
+    const profile = this.getProfile(name);
+    if (!profile) return;
+
+    this.releaseProfile(profile, true);
+    this.profiles = this.profiles.filter((p) => p !== profile);
+    this.updateGamepadPolling();
+    console.log(`➖ PTT profile removed: ${name}`);
+  }
+
   setKey(key, display) {
-    this.key = key;
-    this.keyDisplay = display;
-    console.log(`🔑 PTT key changed to: ${display}`);
+    this.setBinding({ type: "key", code: key }, display);
+  }
+
+  // Cambiar el binding del perfil indicado (por defecto, el primero)
+  setBinding(binding, display, name = this.profiles[0]?.name) {
+    this.updateProfile(name, { binding, display });
+    console.log(`🔑 PTT binding of "${name}" changed to: ${display}`);
+  }
+
+  describeProfiles() {
+    return this.profiles.map((p) => `${p.name}: ${p.display}`).join(", ");
+  }
+
+  // NUEVO: Nombre legible de un botón de ratón o mando
+  static describeButton(type, button) {
+    if (type === "mouse") {
+      const names = { 1: "MIDDLE CLICK", 2: "RIGHT CLICK" };
+      return names[button] || `MOUSE${button + 1}`;
+    }
+    return `GAMEPAD ${button}`;
+  }
+
+  // Los modificadores deben coincidir exactamente para que Ctrl+V y V
+  // puedan ser bindings distintos
+  static matchesKey(binding, event) {
+    return (
+      binding.type === "key" &&
+      event.code === binding.code &&
+      event.ctrlKey === !!binding.ctrl &&
+      event.altKey === !!binding.alt &&
+      event.shiftKey === !!binding.shift &&
+      event.metaKey === !!binding.meta
+    );
   }
 
   handleKeyDown(event) {
+    if (!this.enabled || event.repeat) return;
+
+    this.profiles
+      .filter((p) => PushToTalkManager.matchesKey(p.binding, event))
+      .forEach((p) => this.pressProfile(p));
+  }
+
+  handleKeyUp(event) {
+    if (!this.enabled) return;
+
+    // Al soltar basta con la tecla principal: los modificadores pueden
+    // soltarse antes o después
+    this.profiles
+      .filter((p) => p.binding.type === "key" && p.binding.code === event.code)
+      .forEach((p) => this.releaseProfile(p));
+  }
+
+  // NUEVO: Botones del ratón (Mouse4/Mouse5 son los laterales)
+  handleMouseDown(event) {
+    const profiles = this.getMouseProfiles(event);
+    if (!this.enabled || profiles.length === 0) return;
+
+    event.preventDefault();
+    profiles.forEach((p) => this.pressProfile(p));
+  }
+
+  handleMouseUp(event) {
+    const profiles = this.getMouseProfiles(event);
+    if (!this.enabled || profiles.length === 0) return;
+
+    // Evitar que los botones laterales naveguen atrás/adelante
+    event.preventDefault();
+    profiles.forEach((p) => this.releaseProfile(p));
+  }
+
+  getMouseProfiles(event) {
+    return this.profiles.filter(
+      (p) => p.binding.type === "mouse" && p.binding.button === event.button
+    );
+  }
+
+  isMouseBinding(event) {
+    return this.getMouseProfiles(event).length > 0;
+  }
+
+  // NUEVO: La Gamepad API no tiene eventos de botón: se consulta en cada
+  // frame mientras la página está activa (requestAnimationFrame se
+  // detiene solo cuando la pestaña está en segundo plano)
+  updateGamepadPolling() {
+    const shouldPoll =
+      this.enabled && this.profiles.some((p) => p.binding.type === "gamepad");
+
+    if (shouldPoll && !this.gamepadFrame) {
+      const poll = () => {
+        this.pollGamepads();
+        this.gamepadFrame = requestAnimationFrame(poll);
+      };
+      this.gamepadFrame = requestAnimationFrame(poll);
+    } else if (!shouldPoll && this.gamepadFrame) {
+      cancelAnimationFrame(this.gamepadFrame);
+      this.gamepadFrame = null;
+    }
+  }
+
+  pollGamepads() {
+    const pressed = PushToTalkManager.getPressedGamepadButtons();
+
+    this.profiles
+      .filter((p) => p.binding.type === "gamepad")
+      .forEach((p) => {
+        if (pressed.includes(p.binding.button)) {
+          this.pressProfile(p);
+        } else {
+          this.releaseProfile(p);
+        }
+      });
+  }
+
+  // Botones pulsados en cualquier mando conectado
+  static getPressedGamepadButtons() {
+    const pressed = [];
+    const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
+    for (const gamepad of gamepads) {
+      if (!gamepad) continue;
+      gamepad.buttons.forEach((button, index) => {
+        if (button.pressed && !pressed.includes(index)) {
+          pressed.push(index);
+        }
+      });
+    }
+    return pressed;
+  }
+
+  // Si la página pierde el foco no llegará el keyup/mouseup: soltar los
+  // perfiles "hold" (los "toggle" siguen enganchados)
+  handleBlur() {
+    this.profiles.forEach((p) => this.releaseProfile(p));
+    this.releaseProfile(this.touchProfile);
+  }
+
+  // NUEVO: Botón táctil
+  handleTouchStart() {
     if (!this.enabled) return;
+    this.pressProfile(this.touchProfile);
+  }
+
+  handleTouchEnd() {
+    if (!this.enabled) return;
+    this.releaseProfile(this.touchProfile);
+  }
+
+  // Con latch, una pulsación abre y la siguiente cierra
+  setTouchLatch(latch) {
+    this.releaseProfile(this.touchProfile, true);
+    this.touchProfile.mode = latch ? "toggle" : "hold";
+    console.log(`📱 Touch PTT latch ${latch ? "enabled" : "disabled"}`);
+  }
+
+  pressProfile(profile) {
+    // Ignorar la repetición mientras sigue pulsado (mandos, ratón)
+    if (this.pressedProfiles.has(profile.name)) return;
+    this.pressedProfiles.add(profile.name);
+
+    if (profile.mode === "toggle" && this.activeProfiles.has(profile.name)) {
+      this.activeProfiles.delete(profile.name);
+      console.log(`🔇 PTT: ${profile.name} toggled off`);
+      this.updateTalking(profile.releaseDelayMs);
+      return;
+    }
+
+    this.activeProfiles.add(profile.name);
+    console.log(`🎤 PTT: Talking (${profile.name})...`);
+    this.updateTalking(0);
+  }
+
+  // immediate: cortar sin cola (cambios de configuración)
+  releaseProfile(profile, immediate = false) {
+    const wasPressed = this.pressedProfiles.delete(profile.name);
+
+    // Un perfil "toggle" sigue abierto al soltar, salvo que se reconfigure
+    if (profile.mode === "toggle" && !immediate) return;
+    if (!wasPressed && !this.activeProfiles.has(profile.name)) return;
+
+    this.activeProfiles.delete(profile.name);
+    this.updateTalking(immediate ? 0 : profile.releaseDelayMs);
+  }
+
+  // NUEVO: Radio (en bloques) dentro del que se oye un susurro
+  setWhisperRadius(radius) {
+    this.whisperRadius = Math.max(1, radius);
+    if (this.isTalking && this.talkMode === "whisper") {
+      this.notifyTalkingChange();
+    }
+  }
+
+  // Se susurra solo si todos los perfiles activos son de susurro: si a la
+  // vez se mantiene uno normal, gana el normal
+  getActiveTalkMode() {
+    const active = [...this.profiles, this.touchProfile].filter((p) =>
+      this.activeProfiles.has(p.name)
+    );
+    if (active.length === 0) return "normal";
+    return active.every((p) => p.talkMode === "whisper") ? "whisper" : "normal";
+  }
+
+  // Abrir si algún perfil está activo; si no, cerrar tras la cola indicada
+  updateTalking(releaseDelayMs) {
+    if (this.activeProfiles.size > 0) {
+      clearTimeout(this.releaseTimer);
+      this.releaseTimer = null;
 
-    if (event.code === this.key && !this.isKeyPressed) {
-      this.isKeyPressed = true;
-      this.isTalking = true;
+      const talkMode = this.getActiveTalkMode();
+      if (!this.isTalking) {
+        this.talkMode = talkMode;
+        this.startTalking();
+      } else {
+        if (talkMode !== this.talkMode) {
+          this.talkMode = talkMode;
+          this.notifyTalkingChange();
+        }
+        this.showTalkingIndicator();
+      }
+      return;
+    }
 
-      // CRÍTICO: Activar todos los senders de WebRTC
-      this.unmuteAllSenders();
+    if (!this.isTalking) return;
 
-      this.notifyTalkingChange();
-      this.showTalkingIndicator();
-      console.log("🎤 PTT: Talking...");
+    clearTimeout(this.releaseTimer);
+    if (releaseDelayMs > 0) {
+      this.releaseTimer = setTimeout(() => {
+        this.releaseTimer = null;
+        this.stopTalking();
+      }, releaseDelayMs);
+    } else {
+      this.releaseTimer = null;
+      this.stopTalking();
     }
   }
 
-  handleKeyUp(event) {
-    if (!this.enabled) return;
+  startTalking() {
+    this.isTalking = true;
 
-    if (event.code === this.key && this.isKeyPressed) {
-      this.isKeyPressed = false;
-      this.isTalking = false;
+    // CRÍTICO: Activar todos los senders de WebRTC
+    this.unmuteAllSenders();
 
-      // CRÍTICO: Mutear todos los senders de WebRTC
-      this.muteAllSenders();
+    this.notifyTalkingChange();
+    this.showTalkingIndicator();
+  }
 
-      this.notifyTalkingChange();
-      this.hideTalkingIndicator();
-      console.log("🔇 PTT: Stopped talking");
-    }
+  stopTalking() {
+    this.isTalking = false;
+    this.talkMode = "normal";
+
+    // CRÍTICO: Mutear todos los senders de WebRTC
+    this.muteAllSenders();
+
+    this.notifyTalkingChange();
+    this.hideTalkingIndicator();
+    console.log("🔇 PTT: Stopped talking");
   }
 
   showTalkingIndicator() {
@@ -474,9 +1736,13 @@ class PushToTalkManager {
       indicator = document.createElement("div");
       indicator.id = "pttActiveIndicator";
       indicator.className = "ptt-active-indicator";
-      indicator.textContent = `🎤 Talking (${this.keyDisplay})`;
       document.body.appendChild(indicator);
     }
+    const names = Array.from(this.activeProfiles).join(", ");
+    indicator.textContent =
+      this.talkMode === "whisper"
+        ? `🤫 Whispering (${names})`
+        : `🎤 Talking (${names})`;
   }
 
   hideTalkingIndicator() {
@@ -492,7 +1758,7 @@ class PushToTalkManager {
 
   notifyTalkingChange() {
     if (this.onTalkingChange) {
-      this.onTalkingChange(this.isTalking);
+      this.onTalkingChange(this.isTalking, this.talkMode);
     }
   }
 
@@ -500,6 +1766,108 @@ class PushToTalkManager {
     return this.isTalking;
   }
 
+  getTalkMode() {
+    return this.talkMode;
+  }
+
+  isEnabled() {
+    return this.enabled;
+  }
+}
+
+PushToTalkManager.MODIFIER_KEYS = ["Control", "Alt", "Shift", "Meta"];
+PushToTalkManager.BINDING_TYPES = ["key", "mouse", "gamepad", "none"];
+
+// =====================================================
+// CLASE: VoiceActivationManager
+// Modo "activado por voz": solo se transmite mientras VoiceDetector
+// detecta que el usuario habla, con hangover y pre-roll
+// =====================================================
+class VoiceActivationManager {
+  constructor(webrtcManager, audioEffects) {
+    this.webrtcManager = webrtcManager;
+    this.audioEffects = audioEffects;
+    this.enabled = false;
+    this.isOpen = false;
+    this.hangoverMs = 300; // Tiempo que sigue abierto tras dejar de hablar
+    this.preRollMs = 150; // Retardo de la salida para no cortar la primera sílaba
+    this.closeTimer = null;
+    this.onTalkingChange = null;
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    this.isOpen = !enabled;
+    clearTimeout(this.closeTimer);
+    this.closeTimer = null;
+
+    // El pre-roll retrasa el audio procesado: al abrir la puerta se envía
+    // lo que se dijo justo antes de que el detector reaccionara
+    this.audioEffects.setPreRoll(enabled ? this.preRollMs : 0);
+    this.webrtcManager.setAudioSendersEnabled(!enabled);
+    this.notifyTalkingChange();
+
+    console.log(
+      `🗣️ Voice activation ${enabled ? "enabled - waiting for voice" : "disabled"}`
+    );
+  }
+
+  setHangover(ms) {
+    this.hangoverMs = Math.max(0, ms);
+  }
+
+  setPreRoll(ms) {
+    this.preRollMs = Math.max(0, ms);
+    if (this.enabled) {
+      this.audioEffects.setPreRoll(this.preRollMs);
+    }
+  }
+
+  // Llamado con cada reporte de VoiceDetector
+  handleVoiceState(isTalking) {
+    if (!this.enabled) return;
+
+    if (isTalking) {
+      clearTimeout(this.closeTimer);
+      this.closeTimer = null;
+      if (!this.isOpen) this.open();
+    } else if (this.isOpen && !this.closeTimer) {
+      // Esperar el hangover más el pre-roll, que aún está en el retardo
+      this.closeTimer = setTimeout(() => {
+        this.closeTimer = null;
+        this.close();
+      }, this.hangoverMs + this.preRollMs);
+    }
+  }
+
+  open() {
+    this.isOpen = true;
+    this.webrtcManager.setAudioSendersEnabled(true);
+    this.notifyTalkingChange();
+    console.log("🗣️ Voice detected - transmitting");
+  }
+
+  close() {
+    this.isOpen = false;
+    this.webrtcManager.setAudioSendersEnabled(false);
+    this.notifyTalkingChange();
+    console.log("🔇 Silence - transmission closed");
+  }
+
+  setOnTalkingChange(callback) {
+    this.onTalkingChange = callback;
+  }
+
+  notifyTalkingChange() {
+    if (this.onTalkingChange) {
+      this.onTalkingChange(this.isOpen);
+    }
+  }
+
+  isSpeaking() {
+    return this.isOpen;
+  }
+
   isEnabled() {
     return this.enabled;
   }
@@ -515,6 +1883,14 @@ class MicrophoneManager {
     this.mediaStreamSource = null;
     this.audioEffects = audioEffects;
     this.isMuted = false;
+    // NUEVO: Hot-plug. preferredDeviceId es el que eligió el usuario (null =
+    // predeterminado); activeDeviceId el que se está usando realmente
+    this.preferredDeviceId = null;
+    this.activeDeviceId = null;
+    this.isSwitching = false;
+    this.onDeviceEvent = null;
+    this.handleDeviceChange = this.handleDeviceChange.bind(this);
+    this.handleTrackEnded = this.handleTrackEnded.bind(this);
   }
 
   async start(micVolume = 1.0) {
@@ -528,6 +1904,10 @@ class MicrophoneManager {
 
     const constraints = {
       audio: {
+        // NUEVO: El micrófono guardado, si sigue conectado
+        deviceId: this.preferredDeviceId
+          ? { ideal: this.preferredDeviceId }
+          : undefined,
         echoCancellation: true,
         noiseSuppression: true,
         autoGainControl: true,
@@ -545,7 +1925,12 @@ class MicrophoneManager {
 
       const dest = audioContext.createMediaStreamDestination();
       this.mediaStreamSource.connect(inputNode.input);
-      await this.audioEffects.applyEffect("none", null);
+      await this.audioEffects.applyEffect("none");
+      this.watchTrack();
+      navigator.mediaDevices.addEventListener(
+        "devicechange",
+        this.handleDeviceChange
+      );
       console.log("✓ Microphone started");
     } catch (error) {
       // Mejorar mensajes de error
@@ -577,15 +1962,101 @@ class MicrophoneManager {
   }
 
   stop() {
+    navigator.mediaDevices?.removeEventListener(
+      "devicechange",
+      this.handleDeviceChange
+    );
+    this.releaseStream();
+    console.log("✓ Microphone stopped");
+  }
+
+  releaseStream() {
     if (this.mediaStream) {
-      this.mediaStream.getTracks().forEach((t) => t.stop());
+      this.mediaStream.getTracks().forEach((t) => {
+        t.removeEventListener("ended", this.handleTrackEnded);
+        t.stop();
+      });
       this.mediaStream = null;
     }
     if (this.mediaStreamSource) {
       this.mediaStreamSource.disconnect();
       this.mediaStreamSource = null;
     }
-    console.log("✓ Microphone stopped");
+  }
+
+  // NUEVO: Detectar cuándo el dispositivo desaparece (p. ej. se desconecta
+  // un headset USB). track.stop() no dispara "ended", solo el navegador
+  watchTrack() {
+    const track = this.mediaStream?.getAudioTracks()[0];
+    if (!track) return;
+
+    this.activeDeviceId = track.getSettings?.().deviceId || null;
+    track.addEventListener("ended", this.handleTrackEnded);
+  }
+
+  setOnDeviceEvent(callback) {
+    this.onDeviceEvent = callback;
+  }
+
+  notifyDeviceEvent(type, detail = {}) {
+    if (this.onDeviceEvent) {
+      this.onDeviceEvent({ type, ...detail });
+    }
+  }
+
+  async handleTrackEnded() {
+    console.warn("⚠️ Microphone track ended - falling back to default device");
+    await this.fallbackToDefault();
+  }
+
+  // Al conectar o desconectar dispositivos: refrescar el selector, caer al
+  // predeterminado si el activo se fue y volver al preferido si reaparece
+  async handleDeviceChange() {
+    let devices;
+    try {
+      devices = await MicrophoneManager.getAudioDevices();
+    } catch (error) {
+      console.error("❌ Could not list microphones:", error);
+      return;
+    }
+    this.notifyDeviceEvent("devices-changed", { devices });
+
+    if (this.isSwitching || !this.mediaStream) return;
+
+    const isPresent = (id) => devices.some((d) => d.deviceId === id);
+
+    if (this.activeDeviceId && !isPresent(this.activeDeviceId)) {
+      await this.fallbackToDefault();
+    } else if (
+      this.preferredDeviceId &&
+      this.preferredDeviceId !== this.activeDeviceId &&
+      isPresent(this.preferredDeviceId)
+    ) {
+      const device = devices.find(
+        (d) => d.deviceId === this.preferredDeviceId
+      );
+      console.log(`🎤 Preferred microphone is back: ${device.label}`);
+      try {
+        await this.switchMicrophone(this.preferredDeviceId);
+        this.notifyDeviceEvent("restored", { label: device.label });
+      } catch (error) {
+        // Ocupado por otra app (NotReadableError...): seguir con el actual
+        this.notifyDeviceEvent("restore-failed", { label: device.label, error });
+      }
+    }
+  }
+
+  async fallbackToDefault() {
+    if (this.isSwitching) return;
+
+    try {
+      await this.switchMicrophone(null);
+      const label = this.mediaStream.getAudioTracks()[0]?.label || "default";
+      this.notifyDeviceEvent("fallback", { label });
+    } catch (error) {
+      console.error("❌ No microphone available:", error);
+      this.notifyDeviceEvent("lost", { error });
+    }
   }
 
   toggleMute() {
@@ -614,12 +2085,24 @@ class MicrophoneManager {
     return this.isMuted;
   }
 
-  // NUEVO: Cambiar el dispositivo de micrófono
+  // NUEVO: Cambiar el dispositivo de micrófono elegido por el usuario
   async changeMicrophone(deviceId) {
-    console.log(`🎤 Changing microphone to: ${deviceId}`);
-    
-    // Detener el micrófono actual
-    this.stop();
+    this.preferredDeviceId = deviceId && deviceId !== "default" ? deviceId : null;
+    return this.switchMicrophone(deviceId);
+  }
+
+  // Cambiar el dispositivo en uso sin tocar la preferencia (hot-plug).
+  // deviceId null = dispositivo predeterminado.
+  // Solo se cambia el nodo fuente: la ganancia asignada por el servidor, la
+  // voz, el efecto ambiental y el stream procesado que reciben los peers
+  // siguen igual
+  async switchMicrophone(deviceId) {
+    console.log(`🎤 Changing microphone to: ${deviceId || "default"}`);
+    this.isSwitching = true;
+
+    // Estado de mute del track actual (mute propio o desde Minecraft)
+    const previousTrack = this.mediaStream?.getAudioTracks()[0];
+    const wasEnabled = previousTrack ? previousTrack.enabled : !this.isMuted;
     
     // Iniciar con el nuevo dispositivo
     try {
@@ -633,26 +2116,44 @@ class MicrophoneManager {
         },
       };
       
-      this.mediaStream = await navigator.mediaDevices.getUserMedia(constraints);
+      // Abrir el nuevo antes de soltar el actual: si falla, se sigue
+      // usando el que había
+      const newStream = await navigator.mediaDevices.getUserMedia(constraints);
       const audioContext = Tone.context.rawContext || Tone.context._context;
 
+      this.releaseStream();
+      this.mediaStream = newStream;
+      this.mediaStream
+        .getAudioTracks()
+        .forEach((track) => (track.enabled = wasEnabled));
+
       this.mediaStreamSource = audioContext.createMediaStreamSource(
         this.mediaStream
       );
-      const inputNode = this.audioEffects.createInputNode(1.0);
-
-      const dest = audioContext.createMediaStreamDestination();
+      const inputNode =
+        this.audioEffects.inputNode || this.audioEffects.createInputNode(1.0);
       this.mediaStreamSource.connect(inputNode.input);
-      await this.audioEffects.applyEffect("none", null);
+      this.watchTrack();
       
       console.log("✓ Microphone changed successfully");
+      this.notifyDeviceEvent("switched", { deviceId: this.activeDeviceId });
       return true;
     } catch (error) {
       console.error("❌ Error changing microphone:", error);
       throw error;
+    } finally {
+      this.isSwitching = false;
     }
   }
 
+  getActiveDeviceId() {
+    return this.activeDeviceId;
+  }
+
+  setPreferredDevice(deviceId) {
+    this.preferredDeviceId = deviceId || null;
+  }
+
   // NUEVO: Obtener lista de dispositivos de audio disponibles
   static async getAudioDevices() {
     try {
@@ -680,7 +2181,17 @@ class Participant {
     this.gainNode = null;
     this.audioElement = null;
     this.source = null;
-    this.customVolume = 1;
+    this.audioChain = null;
+    this.occlusion = 0;
+    this.onRadio = false;
+    this.isSpeaking = false;
+    this.speakingLevel = 0; // 0–1, para el medidor alrededor de la skin
+    this.talkMode = "normal"; // NUEVO: "whisper" según su ptt-status
+    this.whisperRadius = null;
+    this.lastVoiceAt = 0;
+    this.customVolume = 1; // Asignado por el servidor (customVolumes)
+    this.localVolume = 1; // NUEVO: Elegido por mí, hasta 200%
+    this.baseVolume = 0; // Último volumen por distancia
     this.skinUrl = this.generateSkinUrl(gamertag); // NUEVO: URL de la skin
   }
 
@@ -692,62 +2203,468 @@ class Participant {
     )}/bedrock`;
   }
 
-  setAudioNodes(gainNode, audioElement, source) {
+  setAudioNodes(gainNode, audioElement, source, audioChain = null) {
+    // Al reconectar llega un stream nuevo: liberar los nodos anteriores
+    if (this.audioElement && this.audioElement !== audioElement) {
+      this.cleanup();
+    }
+
     this.gainNode = gainNode;
     this.audioElement = audioElement;
     this.source = source;
+    this.audioChain = audioChain;
   }
 
   setCustomVolume(volume) {
     this.customVolume = volume;
   }
 
-  updateVolume(newVolume) {
-    const finalVolume = newVolume * this.customVolume;
-    this.volume = finalVolume;
+  // NUEVO: Volumen propio para este jugador; por encima de 1 amplifica
+  // (solo con la cadena Web Audio, un <audio> no pasa de 1)
+  setLocalVolume(volume) {
+    this.localVolume = Math.min(Math.max(volume, 0), Participant.MAX_LOCAL_VOLUME);
+    this.updateVolume(this.baseVolume);
+    this.updateRadio(this.onRadio);
+  }
+
+  getGainMultiplier() {
+    return this.customVolume * this.localVolume;
+  }
+
+  updateVolume(newVolume) {
+    this.baseVolume = newVolume;
+    const finalVolume = newVolume * this.getGainMultiplier();
+    this.volume = finalVolume;
+
+    if (this.audioChain) {
+      this.audioChain.setVolume(finalVolume);
+    } else if (this.gainNode) {
+      this.gainNode.gain.value = finalVolume;
+    } else if (this.audioElement) {
+      this.audioElement.volume = Math.min(finalVolume, 1);
+    }
+  }
+
+  updateDistance(distance) {
+    this.distance = distance;
+  }
+
+  // NUEVO: Activar el camino de radio (misma frecuencia que yo)
+  updateRadio(active) {
+    this.onRadio = active;
+    if (this.audioChain) {
+      this.audioChain.setRadioVolume(active ? this.getGainMultiplier() : 0);
+    }
+  }
+
+  // NUEVO: Modo de habla anunciado por el participante en ptt-status
+  updateTalkMode(talkMode, whisperRadius = null) {
+    this.talkMode = talkMode === "whisper" ? "whisper" : "normal";
+    this.whisperRadius = this.talkMode === "whisper" ? whisperRadius : null;
+  }
+
+  // NUEVO: Oclusión entre este participante y yo (0–1)
+  updateOcclusion(factor) {
+    this.occlusion = factor;
+    if (this.audioChain) {
+      this.audioChain.setOcclusion(factor);
+    }
+  }
+
+  // NUEVO: Posición relativa al oyente (ver DistanceCalculator.toListenerSpace)
+  updatePosition(position) {
+    if (this.audioChain) {
+      this.audioChain.setPosition(position);
+    }
+  }
+
+  // NUEVO: Actualizar el indicador de habla a partir del nivel en dB.
+  // Devuelve true si cambió algo que haya que pintar
+  updateSpeaking(levelDb, now = Date.now()) {
+    const level = Math.min(
+      Math.max(
+        (levelDb - Participant.SPEAKING_THRESHOLD_DB) /
+          (Participant.SPEAKING_FULL_DB - Participant.SPEAKING_THRESHOLD_DB),
+        0
+      ),
+      1
+    );
+
+    if (level > 0) {
+      this.lastVoiceAt = now;
+    }
+    // Mantener el anillo un momento para que no parpadee entre palabras
+    const isSpeaking = now - this.lastVoiceAt < Participant.SPEAKING_HOLD_MS;
+
+    const changed =
+      isSpeaking !== this.isSpeaking ||
+      Math.abs(level - this.speakingLevel) > 0.1;
+    this.isSpeaking = isSpeaking;
+    if (changed) {
+      this.speakingLevel = level;
+    }
+    return changed;
+  }
+
+  cleanup() {
+    if (this.audioChain) {
+      this.audioChain.disconnect();
+    }
+    if (this.source) {
+      try {
+        this.source.disconnect();
+      } catch (e) {}
+    }
+    if (this.gainNode) {
+      try {
+        this.gainNode.disconnect();
+      } catch (e) {}
+    }
+    if (this.audioElement) {
+      try {
+        this.audioElement.pause();
+        this.audioElement.srcObject = null;
+        this.audioElement.remove();
+      } catch (e) {}
+    }
+  }
+
+  getDisplayInfo() {
+    return {
+      gamertag: this.gamertag,
+      isSelf: this.isSelf,
+      distance: Math.round(this.distance),
+      volume: this.volume,
+      onRadio: this.onRadio,
+      isWhispering: this.talkMode === "whisper",
+      isSpeaking: this.isSpeaking,
+      speakingLevel: this.speakingLevel,
+      localVolume: this.localVolume,
+      skinUrl: this.skinUrl, // NUEVO: Incluir URL de la skin
+    };
+  }
+}
+
+Participant.SPEAKING_THRESHOLD_DB = -50;
+Participant.SPEAKING_FULL_DB = -20;
+Participant.SPEAKING_HOLD_MS = 400;
+Participant.MAX_LOCAL_VOLUME = 2;
+
+// =====================================================
+// CLASE: AudioOutputManager
+// Mezclador final de las voces remotas y selección del dispositivo de
+// salida (auriculares/altavoces) con setSinkId
+// =====================================================
+class AudioOutputManager {
+  constructor() {
+    this.audioContext = null;
+    this.mixer = null;
+    this.outputElement = null;
+    this.mode = "default"; // "context" | "element" | "default"
+    this.deviceId = "";
+  }
+
+  init() {
+    this.audioContext = Tone.context.rawContext || Tone.context._context;
+    this.mixer = this.audioContext.createGain();
+
+    if (typeof this.audioContext.setSinkId === "function") {
+      // El AudioContext puede elegir su propia salida
+      this.mode = "context";
+      this.mixer.connect(this.audioContext.destination);
+    } else if (
+      typeof HTMLMediaElement !== "undefined" &&
+      "setSinkId" in HTMLMediaElement.prototype
+    ) {
+      // Si no, se saca la mezcla por un <audio> que sí puede elegirla
+      this.mode = "element";
+      const dest = this.audioContext.createMediaStreamDestination();
+      this.mixer.connect(dest);
+
+      this.outputElement = document.createElement("audio");
+      this.outputElement.srcObject = dest.stream;
+      this.outputElement.autoplay = true;
+      this.outputElement.style.display = "none";
+      document.body.appendChild(this.outputElement);
+    } else {
+      // iOS: sin selección de salida, pero el volumen sigue en Web Audio
+      this.mode = "default";
+      this.mixer.connect(this.audioContext.destination);
+    }
+
+    console.log(`✓ Audio output initialized (${this.mode})`);
+  }
+
+  // Nodo nativo al que se conecta la salida de ListenerEffectsManager
+  getInputNode() {
+    return this.mixer;
+  }
+
+  // El <audio> de salida necesita un gesto del usuario para reproducir
+  resume() {
+    this.outputElement?.play().catch(() => {
+      console.warn("⚠️ Autoplay blocked for the output mix");
+    });
+  }
+
+  isSelectionSupported() {
+    return this.mode !== "default";
+  }
+
+  async setOutputDevice(deviceId) {
+    if (!this.isSelectionSupported()) return false;
+
+    // "" = salida predeterminada del sistema
+    const sinkId = deviceId === "default" ? "" : deviceId || "";
+    if (this.mode === "context") {
+      await this.audioContext.setSinkId(sinkId);
+    } else {
+      await this.outputElement.setSinkId(sinkId);
+    }
+
+    // Los <audio> de reproducción directa (sin cadena Web Audio) también
+    document
+      .querySelectorAll('audio[id^="audio-"]')
+      .forEach((el) => this.applyToElement(el));
+
+    this.deviceId = sinkId;
+    console.log(`🔈 Output device changed to: ${sinkId || "default"}`);
+    return true;
+  }
+
+  // Aplicar la salida elegida a un <audio> suelto
+  applyToElement(audioElement) {
+    if (!this.deviceId || typeof audioElement.setSinkId !== "function") {
+      return;
+    }
+    audioElement.setSinkId(this.deviceId).catch((error) => {
+      console.warn("⚠️ Could not set output device on element:", error);
+    });
+  }
+
+  getDeviceId() {
+    return this.deviceId;
+  }
+
+  static async getOutputDevices() {
+    try {
+      const devices = await navigator.mediaDevices.enumerateDevices();
+      return devices.filter((device) => device.kind === "audiooutput");
+    } catch (error) {
+      console.error("❌ Error getting output devices:", error);
+      return [];
+    }
+  }
+}
+
+// =====================================================
+// CLASE: RemoteAudioChain
+// Cadena Web Audio de un participante remoto:
+// stream → oclusión (lowpass + gain) → PannerNode (HRTF) → GainNode → salida
+// stream → filtros de radio + ruido → radioGain → salida (en paralelo)
+// =====================================================
+class RemoteAudioChain {
+  constructor(remoteStream, destination = null) {
+    this.audioContext = Tone.context.rawContext || Tone.context._context;
+    const output = destination || this.audioContext.destination;
+
+    this.source = this.audioContext.createMediaStreamSource(remoteStream);
+
+    // NUEVO: Analizador del stream tal como llega, antes de distancia y
+    // oclusión, para saber si el participante está hablando
+    this.analyser = this.audioContext.createAnalyser();
+    this.analyser.fftSize = 512;
+    this.levelData = new Float32Array(this.analyser.fftSize);
+    this.source.connect(this.analyser);
+
+    // NUEVO: Oclusión por bloques entre hablante y oyente
+    this.occlusionFilter = this.audioContext.createBiquadFilter();
+    this.occlusionFilter.type = "lowpass";
+    this.occlusionFilter.frequency.value = RemoteAudioChain.OPEN_FREQUENCY;
+    this.occlusionGain = this.audioContext.createGain();
+
+    // El panner solo aporta dirección; la atenuación por distancia la
+    // calcula DistanceCalculator y se aplica en gainNode
+    this.panner = this.audioContext.createPanner();
+    this.panner.panningModel = "HRTF";
+    this.panner.distanceModel = "linear";
+    this.panner.rolloffFactor = 0;
+
+    this.gainNode = this.audioContext.createGain();
+    this.gainNode.gain.value = 0; // Empezar silenciado
+
+    this.source.connect(this.occlusionFilter);
+    this.occlusionFilter.connect(this.occlusionGain);
+    this.occlusionGain.connect(this.panner);
+    this.panner.connect(this.gainNode);
+    this.gainNode.connect(output);
+
+    // NUEVO: Camino de radio, se mezcla con el de proximidad
+    this.radioHighpass = this.audioContext.createBiquadFilter();
+    this.radioHighpass.type = "highpass";
+    this.radioHighpass.frequency.value = 400;
+    this.radioLowpass = this.audioContext.createBiquadFilter();
+    this.radioLowpass.type = "lowpass";
+    this.radioLowpass.frequency.value = 3000;
+    this.radioDistortion = this.audioContext.createWaveShaper();
+    this.radioDistortion.curve = RemoteAudioChain.createDistortionCurve(20);
+    this.radioGain = this.audioContext.createGain();
+    this.radioGain.gain.value = 0;
+    this.radioNoise = null;
+    this.radioNoiseGain = null;
+
+    this.source.connect(this.radioHighpass);
+    this.radioHighpass.connect(this.radioLowpass);
+    this.radioLowpass.connect(this.radioDistortion);
+    this.radioDistortion.connect(this.radioGain);
+    this.radioGain.connect(output);
+  }
+
+  static createDistortionCurve(amount) {
+    const samples = 1024;
+    const curve = new Float32Array(samples);
+    for (let i = 0; i < samples; i++) {
+      const x = (i * 2) / samples - 1;
+      curve[i] = ((1 + amount) * x) / (1 + amount * Math.abs(x));
+    }
+    return curve;
+  }
+
+  // Ruido de estática con chasquidos, solo mientras se oye por radio
+  startRadioNoise() {
+    const sampleRate = this.audioContext.sampleRate;
+    const buffer = this.audioContext.createBuffer(1, sampleRate * 2, sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) {
+      const hiss = (Math.random() * 2 - 1) * 0.3;
+      const crackle = Math.random() < 0.002 ? Math.random() * 2 - 1 : 0;
+      data[i] = hiss + crackle;
+    }
+
+    this.radioNoise = this.audioContext.createBufferSource();
+    this.radioNoise.buffer = buffer;
+    this.radioNoise.loop = true;
+
+    this.radioNoiseGain = this.audioContext.createGain();
+    this.radioNoiseGain.gain.value = 0.05;
+    this.radioNoise.connect(this.radioNoiseGain);
+    this.radioNoiseGain.connect(this.radioHighpass);
+    this.radioNoise.start();
+  }
+
+  // delay (s): esperar a que termine el fundido de radioGain
+  stopRadioNoise(delay = 0) {
+    const noise = this.radioNoise;
+    const noiseGain = this.radioNoiseGain;
+    this.radioNoise = null;
+    this.radioNoiseGain = null;
+
+    noise.onended = () => {
+      noise.disconnect();
+      noiseGain.disconnect();
+    };
+    try {
+      noise.stop(this.audioContext.currentTime + delay);
+    } catch (e) {
+      noise.onended();
+    }
+  }
+
+  setRadioVolume(volume) {
+    if (volume > 0 && !this.radioNoise) {
+      this.startRadioNoise();
+    } else if (volume === 0 && this.radioNoise) {
+      this.stopRadioNoise(0.3);
+    }
+    this.radioGain.gain.setTargetAtTime(
+      volume,
+      this.audioContext.currentTime,
+      0.05
+    );
+  }
+
+  // factor: 0 = sin obstáculos, 1 = totalmente ocluido.
+  // Se suaviza para que no haya saltos al doblar una esquina.
+  setOcclusion(factor) {
+    const amount = Math.min(Math.max(factor, 0), 1);
+    const now = this.audioContext.currentTime;
+
+    // Interpolación exponencial: el oído percibe la frecuencia en escala log
+    const frequency =
+      RemoteAudioChain.OPEN_FREQUENCY *
+      Math.pow(
+        RemoteAudioChain.OCCLUDED_FREQUENCY / RemoteAudioChain.OPEN_FREQUENCY,
+        amount
+      );
+
+    this.occlusionFilter.frequency.setTargetAtTime(frequency, now, 0.2);
+    this.occlusionGain.gain.setTargetAtTime(
+      1 - RemoteAudioChain.OCCLUDED_ATTENUATION * amount,
+      now,
+      0.2
+    );
+  }
+
+  setPosition({ x, y, z }) {
+    const now = this.audioContext.currentTime;
 
-    if (this.gainNode) {
-      this.gainNode.gain.value = finalVolume;
-    } else if (this.audioElement) {
-      this.audioElement.volume = finalVolume;
+    if (this.panner.positionX) {
+      this.panner.positionX.setTargetAtTime(x, now, 0.05);
+      this.panner.positionY.setTargetAtTime(y, now, 0.05);
+      this.panner.positionZ.setTargetAtTime(z, now, 0.05);
+    } else {
+      // Navegadores sin AudioParams de posición
+      this.panner.setPosition(x, y, z);
     }
   }
 
-  updateDistance(distance) {
-    this.distance = distance;
+  setVolume(volume) {
+    this.gainNode.gain.setTargetAtTime(
+      volume,
+      this.audioContext.currentTime,
+      0.05
+    );
   }
 
-  cleanup() {
-    if (this.source) {
-      try {
-        this.source.disconnect();
-      } catch (e) {}
-    }
-    if (this.gainNode) {
-      try {
-        this.gainNode.disconnect();
-      } catch (e) {}
+  // Nivel RMS actual del stream remoto en dB
+  getLevelDb() {
+    this.analyser.getFloatTimeDomainData(this.levelData);
+    let sum = 0;
+    for (let i = 0; i < this.levelData.length; i++) {
+      sum += this.levelData[i] * this.levelData[i];
     }
-    if (this.audioElement) {
+    const rms = Math.sqrt(sum / this.levelData.length);
+    return rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+  }
+
+  disconnect() {
+    [
+      this.source,
+      this.analyser,
+      this.occlusionFilter,
+      this.occlusionGain,
+      this.panner,
+      this.gainNode,
+      this.radioHighpass,
+      this.radioLowpass,
+      this.radioDistortion,
+      this.radioGain,
+    ].forEach((node) => {
       try {
-        this.audioElement.pause();
-        this.audioElement.srcObject = null;
-        this.audioElement.remove();
+        node.disconnect();
       } catch (e) {}
-    }
-  }
+    });
 
-  getDisplayInfo() {
-    return {
-      gamertag: this.gamertag,
-      isSelf: this.isSelf,
-      distance: Math.round(this.distance),
-      volume: this.volume,
-      skinUrl: this.skinUrl, // NUEVO: Incluir URL de la skin
-    };
+    if (this.radioNoise) {
+      this.stopRadioNoise();
+    }
   }
 }
 
+RemoteAudioChain.OPEN_FREQUENCY = 20000;
+RemoteAudioChain.OCCLUDED_FREQUENCY = 400;
+RemoteAudioChain.OCCLUDED_ATTENUATION = 0.75;
+
 // =====================================================
 // CLASE: ParticipantsManager
 // Gestiona todos los participantes
@@ -756,12 +2673,20 @@ class ParticipantsManager {
   constructor() {
     this.participants = new Map();
     this.pendingNodes = new Map();
+    this.localVolumes = {}; // NUEVO: Volumen propio guardado por gamertag
+  }
+
+  setLocalVolumes(volumes) {
+    this.localVolumes = volumes || {};
   }
 
   add(gamertag, isSelf = false) {
     if (this.participants.has(gamertag)) return;
 
     const participant = new Participant(gamertag, isSelf);
+    if (this.localVolumes[gamertag] !== undefined) {
+      participant.localVolume = this.localVolumes[gamertag];
+    }
 
     // Verificar si hay nodos pendientes
     const pendingData = this.pendingNodes.get(gamertag);
@@ -769,11 +2694,11 @@ class ParticipantsManager {
       participant.setAudioNodes(
         pendingData.gainNode,
         pendingData.audioElement,
-        pendingData.source
+        pendingData.source,
+        pendingData.audioChain
       );
-      if (pendingData.gainNode) {
-        pendingData.gainNode.gain.value = 1;
-      }
+      // Silenciado hasta que Minecraft envíe la posición
+      participant.updateVolume(0);
       this.pendingNodes.delete(gamertag);
       console.log(`✓ Audio nodes assigned to ${gamertag}`);
     }
@@ -827,8 +2752,16 @@ class WebRTCManager {
     this.audioEffects = audioEffects;
     this.minecraft = minecraft;
     this.onTrackReceived = onTrackReceived;
+    this.listenerEffects = null;
+    this.audioOutput = null; // NUEVO: Salida elegida para la reproducción directa
     this.ws = null;
     this.currentGamertag = "";
+
+    // NUEVO: Servidores ICE. Los de la sala llegan al unirse; los locales
+    // (ajustes) tienen prioridad sobre ellos
+    this.roomIceServers = null;
+    this.localIceServers = null;
+    this.relayOnly = false;
   }
 
   setWebSocket(ws) {
@@ -839,18 +2772,130 @@ class WebRTCManager {
     this.currentGamertag = gamertag;
   }
 
+  // NUEVO: Lista enviada por el servidor de señalización (puede incluir
+  // TURN con credenciales temporales). null = servidores por defecto
+  setRoomIceServers(iceServers) {
+    this.roomIceServers = WebRTCManager.validateIceServers(iceServers);
+    // La lista puede llegar después de join/offer: las conexiones que aún
+    // no conectaron reinician ICE para reunir candidatos con ella (en modo
+    // solo relay no tendrían ninguno)
+    this.applyRtcConfiguration(
+      (pc) => this.roomIceServers && pc.connectionState !== "connected"
+    );
+  }
+
+  setLocalIceServers(iceServers) {
+    this.localIceServers = WebRTCManager.validateIceServers(iceServers);
+    this.applyRtcConfiguration();
+  }
+
+  // Solo relay: el tráfico pasa siempre por TURN y los demás jugadores
+  // nunca ven nuestra IP. Sin servidores TURN no se podrá conectar
+  setRelayOnly(relayOnly) {
+    if (this.relayOnly === relayOnly) return;
+    this.relayOnly = relayOnly;
+    this.applyRtcConfiguration(true);
+  }
+
+  getIceServers() {
+    return (
+      this.localIceServers ||
+      this.roomIceServers ||
+      WebRTCManager.DEFAULT_ICE_SERVERS
+    );
+  }
+
+  hasRelayServers() {
+    return this.getIceServers().some((server) =>
+      [].concat(server.urls).some((url) => /^turns?:/.test(url))
+    );
+  }
+
+  getRtcConfiguration() {
+    return {
+      iceServers: this.getIceServers(),
+      iceTransportPolicy: this.relayOnly ? "relay" : "all",
+    };
+  }
+
+  // Las conexiones abiertas usan la configuración nueva en el próximo
+  // reinicio de ICE. restart = reiniciar ya (p. ej. al activar solo relay);
+  // puede ser una función (pc) => boolean para elegir cuáles
+  applyRtcConfiguration(restart = false) {
+    const config = this.getRtcConfiguration();
+    this.peerConnections.forEach((pc, gamertag) => {
+      try {
+        pc.setConfiguration(config);
+        const shouldRestart =
+          typeof restart === "function" ? restart(pc) : restart;
+        if (shouldRestart && pc.connectionState !== "closed") {
+          pc.restartIce();
+        }
+      } catch (e) {
+        console.warn(`⚠️ Could not update ICE servers for ${gamertag}:`, e);
+      }
+    });
+  }
+
+  // Devuelve la lista si es válida ([{ urls, username?, credential? }]),
+  // si no null
+  static validateIceServers(iceServers) {
+    if (!Array.isArray(iceServers) || iceServers.length === 0) return null;
+
+    const valid = iceServers.every((server) => {
+      if (!server || typeof server !== "object") return false;
+
+      const urls = [].concat(server.urls ?? []);
+      if (urls.length === 0) return false;
+      if (
+        !urls.every((url) => typeof url === "string" && /^(stun|turns?):/.test(url))
+      ) {
+        return false;
+      }
+
+      // TURN exige credenciales
+      const needsCredentials = urls.some((url) => /^turns?:/.test(url));
+      return (
+        !needsCredentials ||
+        (typeof server.username === "string" &&
+          typeof server.credential === "string")
+      );
+    });
+    if (!valid) {
+      console.warn("⚠️ Ignoring invalid ICE server list:", iceServers);
+      return null;
+    }
+    return iceServers;
+  }
+
   async createPeerConnection(remoteGamertag) {
     if (this.peerConnections.has(remoteGamertag)) {
       console.log(`⚠️ Already exists connection with ${remoteGamertag}`);
       return this.peerConnections.get(remoteGamertag);
     }
 
-    const pc = new RTCPeerConnection({
-      iceServers: [
-        { urls: "stun:stun.l.google.com:19302" },
-        { urls: "stun:stun1.l.google.com:19302" }, // NUEVO: Servidor STUN adicional
-      ],
-    });
+    let pc;
+    try {
+      pc = new RTCPeerConnection(this.getRtcConfiguration());
+    } catch (e) {
+      // Una lista que el navegador rechaza no debe impedir conectar
+      console.warn("⚠️ ICE servers rejected, using the default ones:", e);
+      pc = new RTCPeerConnection({
+        ...this.getRtcConfiguration(),
+        iceServers: WebRTCManager.DEFAULT_ICE_SERVERS,
+      });
+    }
+
+    // NUEVO: Perfect negotiation. Cada conexión tiene un id que viaja en
+    // toda su señalización, así se distinguen los mensajes de una conexión
+    // ya cerrada de los de una nueva del mismo jugador
+    pc._connectionId = WebRTCManager.createConnectionId();
+    pc._remoteConnectionId = null;
+    pc._polite = this.isPolite(remoteGamertag);
+    pc._makingOffer = false;
+    pc._ignoreOffer = false;
+    pc._pendingCandidates = []; // Llegados antes de la descripción remota
+    pc._reconnectAttempts = 0;
 
     // ICE candidates
     pc.onicecandidate = (e) => {
@@ -861,52 +2906,15 @@ class WebRTCManager {
             candidate: e.candidate,
             from: this.currentGamertag,
             to: remoteGamertag,
+            connectionId: pc._connectionId,
           })
         );
       }
     };
 
-    // Bandera para controlar renegociación
-    pc._isInitialConnection = true;
-    pc._reconnectAttempts = 0;
-
-    // Manejo de renegociación - SOLO cuando la conexión ya está establecida
-    pc.onnegotiationneeded = async () => {
-      // Ignorar durante la conexión inicial
-      if (pc._isInitialConnection) {
-        console.log(
-          `⏳ Skipping renegotiation with ${remoteGamertag} (initial connection in progress)`
-        );
-        return;
-      }
-
-      console.log(`🔄 Renegotiation needed with ${remoteGamertag}`);
-      try {
-        if (pc.signalingState !== "stable") {
-          console.log(
-            `⚠️ Signaling state is ${pc.signalingState}, skipping renegotiation`
-          );
-          return;
-        }
-
-        const offer = await pc.createOffer();
-        await pc.setLocalDescription(offer);
-
-        if (this.ws && this.ws.readyState === 1) {
-          this.ws.send(
-            JSON.stringify({
-              type: "offer",
-              offer: offer,
-              from: this.currentGamertag,
-              to: remoteGamertag,
-            })
-          );
-          console.log(`✓ Renegotiation offer sent to ${remoteGamertag}`);
-        }
-      } catch (e) {
-        console.error(`❌ Renegotiation failed with ${remoteGamertag}:`, e);
-      }
-    };
+    // Toda oferta (inicial, renegociación o reinicio de ICE) sale de aquí.
+    // Si se cruza con otra, handleOffer decide cuál gana
+    pc.onnegotiationneeded = () => this.sendOffer(pc, remoteGamertag);
 
     // Audio entrante
     pc.ontrack = (event) => {
@@ -923,6 +2931,23 @@ class WebRTCManager {
       audioElement.style.display = "none";
       document.body.appendChild(audioElement);
 
+      // NUEVO: Audio 3D. El elemento queda muteado pero asociado al stream,
+      // Chrome no entrega audio remoto a Web Audio sin un elemento multimedia
+      let audioChain = null;
+      try {
+        audioChain = new RemoteAudioChain(
+          remoteStream,
+          this.listenerEffects?.getInputNode()
+        );
+        audioElement.muted = true;
+      } catch (e) {
+        console.warn(
+          `⚠️ Spatial audio unavailable for ${remoteGamertag}, using plain playback:`,
+          e
+        );
+        this.audioOutput?.applyToElement(audioElement);
+      }
+
       // Forzar reproducción
       audioElement.play().catch((err) => {
         console.warn(`⚠️ Autoplay blocked for ${remoteGamertag}`);
@@ -931,7 +2956,12 @@ class WebRTCManager {
       // Asignar al participante INMEDIATAMENTE
       const participant = this.participantsManager.get(remoteGamertag);
       if (participant) {
-        participant.setAudioNodes(null, audioElement, null);
+        participant.setAudioNodes(
+          audioChain?.gainNode || null,
+          audioElement,
+          audioChain?.source || null,
+          audioChain
+        );
         participant.updateVolume(0); // Empezar muted, Minecraft actualizará
 
         // Forzar actualización después de medio segundo
@@ -942,9 +2972,10 @@ class WebRTCManager {
         }, 500);
       } else {
         this.participantsManager.addPendingNode(remoteGamertag, {
-          gainNode: null,
+          gainNode: audioChain?.gainNode || null,
           audioElement,
-          source: null,
+          source: audioChain?.source || null,
+          audioChain,
         });
       }
     };
@@ -967,7 +2998,6 @@ class WebRTCManager {
 
       if (pc.connectionState === "connected") {
         console.log(`✅ ${remoteGamertag} - Connection fully established`);
-        pc._isInitialConnection = false;
         pc._reconnectAttempts = 0;
 
         setTimeout(() => {
@@ -1008,6 +3038,9 @@ class WebRTCManager {
       processedStream.getTracks().forEach((track) => {
         pc.addTrack(track, processedStream);
       });
+    } else {
+      // Sin audio propio hace falta un transceiver para negociar igualmente
+      pc.addTransceiver("audio", { direction: "recvonly" });
     }
 
     this.peerConnections.set(remoteGamertag, pc);
@@ -1016,6 +3049,150 @@ class WebRTCManager {
     return pc;
   }
 
+  // NUEVO: De los dos extremos, el "educado" cede cuando las ofertas se
+  // cruzan. Se decide por orden de gamertag (comparación simple, sin
+  // locale, para que ambos lleguen siempre al mismo resultado)
+  isPolite(remoteGamertag) {
+    return this.currentGamertag < remoteGamertag;
+  }
+
+  async sendOffer(pc, remoteGamertag) {
+    try {
+      pc._makingOffer = true;
+      await pc.setLocalDescription();
+
+      if (this.ws && this.ws.readyState === 1) {
+        this.ws.send(
+          JSON.stringify({
+            type: "offer",
+            offer: pc.localDescription,
+            from: this.currentGamertag,
+            to: remoteGamertag,
+            connectionId: pc._connectionId,
+          })
+        );
+        console.log(`📤 Offer sent to ${remoteGamertag}`);
+      }
+    } catch (e) {
+      console.error(`❌ Could not send offer to ${remoteGamertag}:`, e);
+    } finally {
+      pc._makingOffer = false;
+    }
+  }
+
+  // NUEVO: Oferta recibida. Si se cruza con la nuestra, el educado deshace
+  // la suya (rollback) y contesta; el otro ignora la recibida
+  async handleOffer(remoteGamertag, offer, connectionId) {
+    let pc = this.peerConnections.get(remoteGamertag);
+
+    // El otro extremo cerró su conexión y abrió una nueva: la nuestra ya
+    // no tiene pareja, se sustituye
+    if (pc && WebRTCManager.isStaleConnection(pc, connectionId)) {
+      console.log(`🔄 ${remoteGamertag} restarted the connection, replacing ours`);
+      const attempts = pc._reconnectAttempts;
+      this.closePeerConnection(remoteGamertag);
+      pc = await this.createPeerConnection(remoteGamertag);
+      pc._reconnectAttempts = attempts;
+    } else if (!pc) {
+      pc = await this.createPeerConnection(remoteGamertag);
+    }
+
+    const collision = pc._makingOffer || pc.signalingState !== "stable";
+    pc._ignoreOffer = !pc._polite && collision;
+    if (pc._ignoreOffer) {
+      console.log(`⚔️ Offer collision with ${remoteGamertag}, keeping ours`);
+      return;
+    }
+
+    if (collision && pc.signalingState === "have-local-offer") {
+      console.log(`⚔️ Offer collision with ${remoteGamertag}, rolling back ours`);
+      await pc.setLocalDescription({ type: "rollback" });
+    }
+
+    await pc.setRemoteDescription(new RTCSessionDescription(offer));
+    pc._remoteConnectionId = connectionId || null;
+    await this.flushPendingCandidates(pc, remoteGamertag);
+
+    await pc.setLocalDescription();
+    if (this.ws && this.ws.readyState === 1) {
+      this.ws.send(
+        JSON.stringify({
+          type: "answer",
+          answer: pc.localDescription,
+          from: this.currentGamertag,
+          to: remoteGamertag,
+          connectionId: pc._connectionId,
+        })
+      );
+      console.log(`📤 Sent answer to ${remoteGamertag}`);
+    }
+  }
+
+  async handleAnswer(remoteGamertag, answer, connectionId) {
+    const pc = this.peerConnections.get(remoteGamertag);
+    if (!pc || pc.signalingState !== "have-local-offer") return;
+
+    if (WebRTCManager.isStaleConnection(pc, connectionId)) {
+      console.log(`⚠️ Ignoring answer from an old connection of ${remoteGamertag}`);
+      return;
+    }
+
+    await pc.setRemoteDescription(new RTCSessionDescription(answer));
+    pc._remoteConnectionId = connectionId || null;
+    await this.flushPendingCandidates(pc, remoteGamertag);
+    console.log(`✓ Answer applied for ${remoteGamertag}`);
+  }
+
+  // NUEVO: Los candidates que llegan antes que la descripción remota se
+  // guardan hasta que se pueda aplicar
+  async handleIceCandidate(remoteGamertag, candidate, connectionId) {
+    const pc = this.peerConnections.get(remoteGamertag);
+    if (!pc || !candidate) return;
+
+    if (!pc.remoteDescription) {
+      pc._pendingCandidates.push({ candidate, connectionId });
+      return;
+    }
+    if (WebRTCManager.isStaleConnection(pc, connectionId)) return;
+
+    try {
+      await pc.addIceCandidate(new RTCIceCandidate(candidate));
+    } catch (e) {
+      // Los de una oferta ignorada fallan siempre, no es un error
+      if (!pc._ignoreOffer) throw e;
+    }
+  }
+
+  async flushPendingCandidates(pc, remoteGamertag) {
+    const pending = pc._pendingCandidates;
+    pc._pendingCandidates = [];
+
+    for (const { candidate, connectionId } of pending) {
+      if (WebRTCManager.isStaleConnection(pc, connectionId)) continue;
+      try {
+        await pc.addIceCandidate(new RTCIceCandidate(candidate));
+      } catch (e) {
+        console.warn(`⚠️ Queued ICE candidate from ${remoteGamertag} failed:`, e);
+      }
+    }
+  }
+
+  // ¿El mensaje viene de otra conexión distinta a la que negociamos?
+  // Los clientes antiguos no envían connectionId y se aceptan siempre
+  static isStaleConnection(pc, connectionId) {
+    return Boolean(
+      connectionId &&
+        pc._remoteConnectionId &&
+        pc._remoteConnectionId !== connectionId
+    );
+  }
+
+  static createConnectionId() {
+    return `${Date.now().toString(36)}-${Math.random()
+      .toString(36)
+      .slice(2, 8)}`;
+  }
+
   async attemptReconnect(remoteGamertag) {
     const oldPc = this.peerConnections.get(remoteGamertag);
     const attempts = (oldPc?._reconnectAttempts || 0) + 1;
@@ -1033,27 +3210,18 @@ class WebRTCManager {
     await new Promise((resolve) => setTimeout(resolve, 1000));
 
     try {
+      // Si mientras tanto llegó una oferta del otro extremo, la conexión ya
+      // existe y se reutiliza. Si no, la nueva envía su oferta sola
       const pc = await this.createPeerConnection(remoteGamertag);
       pc._reconnectAttempts = attempts;
-
-      const offer = await pc.createOffer();
-      await pc.setLocalDescription(offer);
-
-      if (this.ws && this.ws.readyState === 1) {
-        this.ws.send(
-          JSON.stringify({
-            type: "offer",
-            offer: offer,
-            from: this.currentGamertag,
-            to: remoteGamertag,
-          })
-        );
-      }
     } catch (e) {
       console.error(`❌ Reconnection failed with ${remoteGamertag}:`, e);
     }
   }
 
+  // NUEVO: Reinicio de ICE en las conexiones vivas (sin cerrarlas, así no
+  // quedan conexiones a medias si el otro extremo hace lo mismo a la vez).
+  // Solo se recrean las que ya fallaron
   async reconnectAllPeers() {
     console.log("🔄 RECONNECTING ALL PEERS...");
 
@@ -1066,28 +3234,22 @@ class WebRTCManager {
 
     console.log(`📋 Peers to reconnect: ${gamertags.join(", ")}`);
 
-    this.closeAllConnections();
-    await new Promise((resolve) => setTimeout(resolve, 500));
-
     for (const gamertag of gamertags) {
-      try {
-        console.log(`🔗 Reconnecting with ${gamertag}...`);
-        const pc = await this.createPeerConnection(gamertag);
-        const offer = await pc.createOffer();
-        await pc.setLocalDescription(offer);
+      const pc = this.peerConnections.get(gamertag);
+      if (!pc) continue;
 
-        if (this.ws && this.ws.readyState === 1) {
-          this.ws.send(
-            JSON.stringify({
-              type: "offer",
-              offer: offer,
-              from: this.currentGamertag,
-              to: gamertag,
-            })
-          );
+      try {
+        if (
+          pc.connectionState === "failed" ||
+          pc.connectionState === "closed"
+        ) {
+          console.log(`🔗 Recreating connection with ${gamertag}...`);
+          this.closePeerConnection(gamertag);
+          await this.createPeerConnection(gamertag);
+        } else {
+          console.log(`❄️ Restarting ICE with ${gamertag}...`);
+          pc.restartIce();
         }
-
-        await new Promise((resolve) => setTimeout(resolve, 300));
       } catch (e) {
         console.error(`❌ Failed to reconnect with ${gamertag}:`, e);
       }
@@ -1115,45 +3277,40 @@ class WebRTCManager {
     return this.peerConnections.get(gamertag);
   }
 
-  forEach(callback) {
-    this.peerConnections.forEach(callback);
-  }
-
-  // NUEVO: Actualizar el stream de micrófono en todas las conexiones activas
-  async updateMicrophoneStream(newStream) {
-    console.log("🔄 Updating microphone stream in all peer connections...");
-    
-    if (!newStream) {
-      console.error("❌ No new stream provided");
-      return;
-    }
-
-    const audioTrack = newStream.getAudioTracks()[0];
-    if (!audioTrack) {
-      console.error("❌ No audio track in new stream");
-      return;
+  // NUEVO: Activar/desactivar el audio que enviamos. También cambia el track
+  // procesado para que las conexiones nuevas hereden el estado.
+  // Devuelve cuántos senders se actualizaron
+  setAudioSendersEnabled(enabled) {
+    const processedStream = this.audioEffects.getProcessedStream();
+    if (processedStream) {
+      processedStream
+        .getAudioTracks()
+        .forEach((track) => (track.enabled = enabled));
     }
 
-    // Actualizar el track en todas las conexiones activas
-    this.peerConnections.forEach((pc, gamertag) => {
-      const senders = pc.getSenders();
-      const audioSender = senders.find(sender => sender.track?.kind === 'audio');
-      
-      if (audioSender) {
-        audioSender.replaceTrack(audioTrack)
-          .then(() => {
-            console.log(`✓ Updated audio track for ${gamertag}`);
-          })
-          .catch((error) => {
-            console.error(`❌ Error updating track for ${gamertag}:`, error);
-          });
-      }
+    let count = 0;
+    this.peerConnections.forEach((pc) => {
+      // pc es directamente el RTCPeerConnection, no un objeto wrapper
+      pc.getSenders().forEach((sender) => {
+        if (sender.track && sender.track.kind === "audio") {
+          sender.track.enabled = enabled;
+          count++;
+        }
+      });
     });
+    return count;
+  }
 
-    console.log("✓ Microphone stream updated in all connections");
+  forEach(callback) {
+    this.peerConnections.forEach(callback);
   }
 }
 
+WebRTCManager.DEFAULT_ICE_SERVERS = [
+  { urls: "stun:stun.l.google.com:19302" },
+  { urls: "stun:stun1.l.google.com:19302" },
+];
+
 // =====================================================
 // CLASE: DistanceCalculator
 // Calcula distancias y volumen basado en posición 3D
@@ -1161,6 +3318,36 @@ class WebRTCManager {
 class DistanceCalculator {
   constructor(maxDistance = 20) {
     this.maxDistance = maxDistance;
+
+    // NUEVO: Modelo de atenuación (configurable por sala con config.falloff)
+    this.model = "quadratic";
+    this.refDistance = 1;
+    this.rolloff = 1;
+    this.minDistance = 0;
+  }
+
+  // Acepta el nombre del modelo o { model, refDistance, rolloff, minDistance }.
+  // Los parámetros que no vengan vuelven a su valor por defecto.
+  setFalloff(falloff) {
+    const config = typeof falloff === "string" ? { model: falloff } : falloff;
+    const model = config.model || "quadratic";
+
+    switch (model) {
+      case "quadratic": // (1 - d/max)^2, el comportamiento original
+      case "linear": // cae de forma lineal desde refDistance hasta maxDistance
+      case "inverse": // refDistance / (refDistance + rolloff * (d - refDistance))
+      case "logarithmic": // caída lineal en dB desde refDistance hasta maxDistance
+      case "plateau": // volumen completo hasta minDistance, después se desvanece
+        break;
+
+      default:
+        throw new Error(`Unknown falloff model: ${model}`);
+    }
+
+    this.model = model;
+    this.refDistance = Math.max(config.refDistance ?? 1, 0.01);
+    this.rolloff = Math.max(config.rolloff ?? 1, 0);
+    this.minDistance = Math.max(config.minDistance ?? 0, 0);
   }
 
   calculate(pos1, pos2) {
@@ -1172,7 +3359,74 @@ class DistanceCalculator {
 
   volumeFromDistance(distance) {
     if (distance > this.maxDistance) return 0;
-    return Math.pow(1 - distance / this.maxDistance, 2);
+
+    const clamp = (v) => Math.min(Math.max(v, 0), 1);
+    const ref = Math.min(this.refDistance, this.maxDistance);
+
+    switch (this.model) {
+      case "linear":
+        if (distance <= ref) return 1;
+        return clamp(
+          1 - (this.rolloff * (distance - ref)) / (this.maxDistance - ref)
+        );
+
+      case "inverse":
+        if (distance <= ref) return 1;
+        return ref / (ref + this.rolloff * (distance - ref));
+
+      case "logarithmic":
+        if (distance <= ref) return 1;
+        return clamp(
+          1 -
+            (this.rolloff * Math.log(distance / ref)) /
+              Math.log(this.maxDistance / ref)
+        );
+
+      case "plateau": {
+        const min = Math.min(this.minDistance, this.maxDistance);
+        if (distance <= min) return 1;
+        return clamp(1 - (distance - min) / (this.maxDistance - min));
+      }
+
+      default:
+        return Math.pow(1 - distance / this.maxDistance, 2);
+    }
+  }
+
+  // NUEVO: Pasa la posición de otro jugador al espacio del oyente de Web Audio
+  // (oyente en el origen mirando hacia -Z, +X a la derecha, +Y arriba).
+  // rotation usa el formato de Bedrock: { x: pitch, y: yaw } en grados,
+  // con yaw 0 mirando hacia +Z y pitch positivo mirando hacia abajo.
+  toListenerSpace(listenerPos, rotation, sourcePos) {
+    const d = {
+      x: sourcePos.x - listenerPos.x,
+      y: sourcePos.y - listenerPos.y,
+      z: sourcePos.z - listenerPos.z,
+    };
+
+    const yaw = ((rotation?.y || 0) * Math.PI) / 180;
+    const pitch = ((rotation?.x || 0) * Math.PI) / 180;
+
+    const forward = {
+      x: -Math.sin(yaw) * Math.cos(pitch),
+      y: -Math.sin(pitch),
+      z: Math.cos(yaw) * Math.cos(pitch),
+    };
+    const right = { x: -Math.cos(yaw), y: 0, z: -Math.sin(yaw) };
+    // up = right × forward
+    const up = {
+      x: -right.z * forward.y,
+      y: right.z * forward.x - right.x * forward.z,
+      z: right.x * forward.y,
+    };
+
+    const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+
+    return {
+      x: dot(d, right),
+      y: dot(d, up),
+      z: -dot(d, forward),
+    };
   }
 }
 
@@ -1202,9 +3456,12 @@ class MinecraftIntegration {
     this.onDeafenChange = null;
     this.playerVolumes = new Map();
     this.pushToTalkManager = null;
+    this.listenerEffects = null;
     this.lastMicVolume = null;
     this.lastEffectChange = 0;
-    this.effectThrottleMs = 1000;
+    this.effectThrottleMs = 250;
+    this.lastFalloffConfig = null;
+    this.lastEffectsConfig = null;
   }
 
   // NUEVO: Establecer referencia al PTT manager
@@ -1212,6 +3469,11 @@ class MinecraftIntegration {
     this.pushToTalkManager = pttManager;
   }
 
+  // NUEVO: Efectos sobre lo que escucho
+  setListenerEffects(listenerEffects) {
+    this.listenerEffects = listenerEffects;
+  }
+
   setGamertag(gamertag) {
     this.currentGamertag = gamertag;
   }
@@ -1247,6 +3509,12 @@ class MinecraftIntegration {
       }
     }
 
+    // NUEVO: Modelo de atenuación configurable por sala
+    this.applyFalloffConfig(this.minecraftData.config?.falloff);
+
+    // NUEVO: Presets de efectos personalizados de la sala
+    this.applyEffectsConfig(this.minecraftData.config?.effects);
+
     const myPlayer = playersList.find(
       (p) =>
         p.name.trim().toLowerCase() ===
@@ -1309,6 +3577,12 @@ class MinecraftIntegration {
       );
     }
 
+    // NUEVO: Voz de rol forzada o bloqueada por un admin
+    this.audioEffects.setVoiceOverride(
+      myPlayer.data.voice || null,
+      !!myPlayer.data.voiceLocked
+    );
+
     // Aplicar volúmenes personalizados a los participantes
     if (myPlayer.data.customVolumes) {
       this.applyCustomVolumes(myPlayer.data.customVolumes);
@@ -1330,6 +3604,30 @@ class MinecraftIntegration {
     this.updateParticipantVolumes(myPlayer, playersList);
   }
 
+  // NUEVO: Cambiar el modelo de atenuación en vivo si la sala lo modifica
+  applyFalloffConfig(falloff) {
+    const key = JSON.stringify(falloff ?? null);
+    if (key === this.lastFalloffConfig) return;
+    this.lastFalloffConfig = key;
+
+    try {
+      this.distanceCalculator.setFalloff(falloff || "quadratic");
+      console.log(`📉 Falloff model: ${this.distanceCalculator.model}`);
+    } catch (e) {
+      console.warn(`⚠️ Invalid falloff config, keeping previous model:`, e);
+    }
+  }
+
+  // NUEVO: Recargar los presets solo si la sala cambió su definición
+  applyEffectsConfig(effects) {
+    const key = JSON.stringify(effects ?? null);
+    if (key === this.lastEffectsConfig) return;
+    this.lastEffectsConfig = key;
+
+    this.audioEffects.presets.loadFromConfig(effects);
+    this.lastEffectChange = 0; // Aplicar el entorno de inmediato
+  }
+
   // NUEVO: Aplicar volúmenes personalizados a cada participante
   applyCustomVolumes(customVolumes) {
     this.participantsManager.forEach((participant, gamertag) => {
@@ -1347,11 +3645,13 @@ class MinecraftIntegration {
     if (wasInGame) console.log("❌ Disconnected from Minecraft server");
 
     this.micManager.setEnabled(false);
+    this.listenerEffects?.applyEffect("none");
 
     // Silenciar a todos
     this.participantsManager.forEach((participant) => {
       if (!participant.isSelf) {
         participant.updateVolume(0);
+        participant.updateRadio(false);
       }
     });
   }
@@ -1362,18 +3662,37 @@ class MinecraftIntegration {
       return;
     }
     this.lastEffectChange = now;
-    let targetEffect = "none";
+    const presets = this.audioEffects.presets;
+    const effectData = this.getEffectData(myPlayer);
+    const targetEffect = presets.match(effectData);
+    const intensity = presets.getIntensity(targetEffect, effectData);
+
+    // Si el efecto y los presets no cambiaron solo se ajusta la intensidad
+    this.audioEffects.applyEffect(targetEffect, intensity);
+
+    // NUEVO: El mismo entorno se aplica a lo que yo escucho
+    if (this.listenerEffects) {
+      this.listenerEffects.setAllowedByRoom(
+        this.minecraftData.config?.listenerEffects !== false
+      );
+      this.listenerEffects.applyEffect(targetEffect, intensity);
+    }
+  }
 
-    if (myPlayer.data.isUnderWater) targetEffect = "underwater";
-    else if (myPlayer.data.isInCave) targetEffect = "cave";
-    else if (myPlayer.data.isInMountain) targetEffect = "mountain";
-    else if (myPlayer.data.isBuried) targetEffect = "buried";
+  // NUEVO: Datos del jugador con bioma, clima y dimensión normalizados
+  // ("minecraft:deep_dark" → "deep_dark") para las reglas de los presets
+  getEffectData(myPlayer) {
+    const data = { ...myPlayer.data };
 
-    if (targetEffect !== this.audioEffects.getCurrentEffect()) {
-      // ARREGLADO: Pasar las peer connections correctamente
-      const peerConnections = this.webrtcManager?.peerConnections;
-      this.audioEffects.applyEffect(targetEffect, peerConnections);
+    data.dimension = this.normalizeDimension(data.dimension);
+    if (data.biome) {
+      data.biome = String(data.biome).toLowerCase().replace(/^minecraft:/, "");
     }
+    if (data.weather) {
+      data.weather = String(data.weather).toLowerCase();
+    }
+
+    return data;
   }
 
   updateParticipantVolumes(myPlayer, playersList) {
@@ -1389,29 +3708,133 @@ class MinecraftIntegration {
         if (otherPlayer.data.isMuted) {
           participant.updateDistance(0);
           participant.updateVolume(0);
+          participant.updateRadio(false);
           return;
         }
 
         // Si YO estoy ensordecido, no escucho a nadie
         if (this.remoteDeafened) {
+          participant.updateVolume(0);
+          participant.updateRadio(false);
+          return;
+        }
+
+        // NUEVO: La radio ignora la distancia y la dimensión (un susurro
+        // no sale por la radio)
+        const isWhispering = participant.talkMode === "whisper";
+        participant.updateRadio(
+          !isWhispering && this.sharesRadioChannel(myPlayer, otherPlayer)
+        );
+
+        // NUEVO: Jugadores en otra dimensión no se escuchan (salvo portal bleed)
+        const otherLocation = this.getLocationInMyDimension(
+          myPlayer,
+          otherPlayer
+        );
+        if (!otherLocation) {
           participant.updateVolume(0);
           return;
         }
 
         const distance = this.distanceCalculator.calculate(
           myPlayer.location,
-          otherPlayer.location
+          otherLocation
         );
-        const volume = this.distanceCalculator.volumeFromDistance(distance);
+        const volume = isWhispering
+          ? this.whisperVolume(distance, participant.whisperRadius)
+          : this.distanceCalculator.volumeFromDistance(distance);
 
         participant.updateDistance(distance);
+        participant.updateOcclusion(
+          this.getOcclusionFactor(myPlayer, gamertag)
+        );
+        participant.updatePosition(
+          this.distanceCalculator.toListenerSpace(
+            myPlayer.location,
+            myPlayer.rotation,
+            otherLocation
+          )
+        );
         participant.updateVolume(volume);
       } else {
         participant.updateVolume(0);
+        participant.updateRadio(false);
       }
     });
   }
 
+  // NUEVO: Un susurro usa la misma curva de la sala comprimida a su radio.
+  // El radio lo elige quien susurra, limitado por config.whisperRadius
+  whisperVolume(distance, radius) {
+    const maxRadius =
+      this.minecraftData.config?.whisperRadius ||
+      MinecraftIntegration.DEFAULT_WHISPER_RADIUS;
+    const range = Math.min(radius || maxRadius, maxRadius);
+    if (distance > range) return 0;
+
+    const maxDistance = this.distanceCalculator.maxDistance;
+    return this.distanceCalculator.volumeFromDistance(
+      (distance / range) * maxDistance
+    );
+  }
+
+  // NUEVO: Ambos jugadores llevan radio en la misma frecuencia
+  sharesRadioChannel(myPlayer, otherPlayer) {
+    const myChannel = myPlayer.data.radioChannel;
+    if (myChannel === undefined || myChannel === null || myChannel === "") {
+      return false;
+    }
+    return otherPlayer.data.radioChannel === myChannel;
+  }
+
+  // NUEVO: Normalizar el id de dimensión ("minecraft:the_end" → "the_end",
+  // "minecraft:the_nether" de Java → "nether"). Sin dimensión se asume el
+  // Overworld.
+  normalizeDimension(dimension) {
+    if (!dimension) return "overworld";
+    const id = String(dimension).toLowerCase().replace(/^minecraft:/, "");
+    return MinecraftIntegration.DIMENSION_ALIASES[id] || id;
+  }
+
+  // NUEVO: Posición del otro jugador en las coordenadas de mi dimensión,
+  // o null si no debe oírse. Con config.portalBleed, Overworld y Nether se
+  // oyen entre sí aplicando la escala 8:1 del Nether en X y Z.
+  getLocationInMyDimension(myPlayer, otherPlayer) {
+    const myDimension = this.normalizeDimension(myPlayer.data.dimension);
+    const otherDimension = this.normalizeDimension(otherPlayer.data.dimension);
+
+    if (myDimension === otherDimension) return otherPlayer.location;
+
+    if (!this.minecraftData.config?.portalBleed) return null;
+
+    const pair = [myDimension, otherDimension].sort().join("|");
+    if (pair !== "nether|overworld") return null;
+
+    const scale = myDimension === "overworld" ? 8 : 1 / 8;
+    return {
+      x: otherPlayer.location.x * scale,
+      y: otherPlayer.location.y,
+      z: otherPlayer.location.z * scale,
+    };
+  }
+
+  // NUEVO: Oclusión enviada por el servidor en myPlayer.data.occlusion,
+  // indexada por gamertag. Acepta un factor 0–1 o { blocks: n }, que se
+  // convierte usando config.occlusion.maxBlocks (bloques para oclusión total).
+  getOcclusionFactor(myPlayer, gamertag) {
+    const value = myPlayer.data.occlusion?.[gamertag];
+    if (value === undefined || value === null) return 0;
+
+    if (typeof value === "object") {
+      if (value.factor !== undefined) return value.factor;
+
+      const maxBlocks = this.minecraftData.config?.occlusion?.maxBlocks || 6;
+      return Math.min((value.blocks || 0) / maxBlocks, 1);
+    }
+
+    return value;
+  }
+
   isInGame() {
     return this.isPlayerInGame;
   }
@@ -1426,6 +3849,141 @@ class MinecraftIntegration {
   }
 }
 
+MinecraftIntegration.DEFAULT_WHISPER_RADIUS = 4; // Bloques
+MinecraftIntegration.DIMENSION_ALIASES = { the_nether: "nether" };
+
+// =====================================================
+// CLASE: AudioCheck
+// Prueba de audio antes de entrar a la sala: medidor del micrófono,
+// escucharse a uno mismo con los efectos actuales y tono de prueba
+// =====================================================
+class AudioCheck {
+  constructor(micManager, audioEffects, audioOutput) {
+    this.micManager = micManager;
+    this.audioEffects = audioEffects;
+    this.audioOutput = audioOutput;
+    this.analyser = null;
+    this.levelData = null;
+    this.meterFrame = null;
+    this.loopbackSource = null;
+    this.loopbackGain = null;
+    this.startedMic = false; // Solo se para el micrófono si lo abrió la prueba
+    this.onLevel = null;
+  }
+
+  async start() {
+    if (!this.micManager.getStream()) {
+      await this.micManager.start(1.0);
+      this.startedMic = true;
+    }
+
+    // El analizador cuelga de la entrada del efecto, que se mantiene al
+    // cambiar de micrófono
+    const audioContext = Tone.context.rawContext || Tone.context._context;
+    this.analyser = audioContext.createAnalyser();
+    this.analyser.fftSize = 1024;
+    this.levelData = new Float32Array(this.analyser.fftSize);
+    this.audioEffects.inputNode.connect(this.analyser);
+
+    const update = () => {
+      if (this.onLevel) this.onLevel(this.getLevel());
+      this.meterFrame = requestAnimationFrame(update);
+    };
+    this.meterFrame = requestAnimationFrame(update);
+    console.log("✓ Audio check started");
+  }
+
+  // Nivel 0–1 (de -60 dB a 0 dB)
+  getLevel() {
+    this.analyser.getFloatTimeDomainData(this.levelData);
+    let sum = 0;
+    for (let i = 0; i < this.levelData.length; i++) {
+      sum += this.levelData[i] * this.levelData[i];
+    }
+    const rms = Math.sqrt(sum / this.levelData.length);
+    const db = rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+    return Math.min(Math.max((db + 60) / 60, 0), 1);
+  }
+
+  setOnLevel(callback) {
+    this.onLevel = callback;
+  }
+
+  // Escucharse con la cadena completa (voz + efecto), tal como lo reciben
+  // los demás
+  setLoopback(enabled) {
+    if (enabled && !this.loopbackSource) {
+      const audioContext = Tone.context.rawContext || Tone.context._context;
+      // Se toma la cadena en Web Audio y no el track de envío: en modo PTT
+      // o por voz ese track está desactivado y solo daría silencio
+      this.loopbackSource = this.audioEffects.getOutputNode();
+      if (!this.loopbackSource) return;
+
+      this.loopbackGain = audioContext.createGain();
+      this.loopbackGain.gain.value = 0.8;
+      this.loopbackSource.connect(this.loopbackGain);
+      this.loopbackGain.connect(this.audioOutput.getInputNode());
+      console.log("🔁 Loopback enabled");
+    } else if (!enabled && this.loopbackSource) {
+      this.loopbackSource.disconnect(this.loopbackGain);
+      this.loopbackGain.disconnect();
+      this.loopbackSource = null;
+      this.loopbackGain = null;
+      console.log("🔁 Loopback disabled");
+    }
+  }
+
+  // Tono de 440 Hz por la salida elegida
+  playTestTone(durationMs = 2000) {
+    console.log("🔊 Generating test tone of 440Hz for 2 seconds...");
+
+    const audioContext = Tone.context.rawContext || Tone.context._context;
+    const oscillator = audioContext.createOscillator();
+    const gainNode = audioContext.createGain();
+
+    oscillator.type = "sine";
+    oscillator.frequency.value = 440;
+    gainNode.gain.value = 0.3;
+
+    oscillator.connect(gainNode);
+    gainNode.connect(
+      this.audioOutput.getInputNode() || audioContext.destination
+    );
+
+    oscillator.start();
+    setTimeout(() => {
+      oscillator.stop();
+      gainNode.disconnect();
+      console.log("✓ Test tone finished");
+    }, durationMs);
+  }
+
+  // keepMic: al entrar a la sala se reutiliza el micrófono ya abierto
+  stop({ keepMic = false } = {}) {
+    this.setLoopback(false);
+
+    if (this.meterFrame) {
+      cancelAnimationFrame(this.meterFrame);
+      this.meterFrame = null;
+    }
+    if (this.analyser) {
+      try {
+        this.audioEffects.inputNode?.disconnect(this.analyser);
+      } catch (e) {}
+      this.analyser = null;
+    }
+
+    if (this.startedMic && !keepMic) {
+      this.micManager.stop();
+    }
+    this.startedMic = false;
+  }
+
+  isRunning() {
+    return this.analyser !== null;
+  }
+}
+
 // =====================================================
 // CLASE: UIManager
 // Maneja toda la interfaz de usuario
@@ -1446,12 +4004,48 @@ class UIManager {
       minecraftConnectContainer: document.createElement("div"),
       // NUEVO: Elementos de Push-to-Talk
       pttContainer: document.getElementById("pttContainer"),
-      pttToggle: document.getElementById("pttToggle"),
+      transmissionMode: document.getElementById("transmissionMode"),
       pttKeySelector: document.getElementById("pttKeySelector"),
-      pttKeyInput: document.getElementById("pttKeyInput"),
-      pttKeyDisplay: document.getElementById("pttKeyDisplay"),
+      pttProfilesList: document.getElementById("pttProfilesList"),
+      addPttProfileBtn: document.getElementById("addPttProfileBtn"),
+      whisperRadiusInput: document.getElementById("whisperRadiusInput"),
+      // NUEVO: Push-to-Talk táctil
+      touchPttSettings: document.getElementById("touchPttSettings"),
+      touchPttLatchToggle: document.getElementById("touchPttLatchToggle"),
+      touchPttButton: document.getElementById("touchPttButton"),
+      // NUEVO: Activación por voz
+      vadSettings: document.getElementById("vadSettings"),
+      vadHangoverInput: document.getElementById("vadHangoverInput"),
+      vadPreRollInput: document.getElementById("vadPreRollInput"),
       // NUEVO: Selector de micrófono
       micSelector: document.getElementById("micSelector"),
+      // NUEVO: Panel de ajustes
+      sensitivitySelector: document.getElementById("sensitivitySelector"),
+      exportSettingsBtn: document.getElementById("exportSettingsBtn"),
+      importSettingsBtn: document.getElementById("importSettingsBtn"),
+      importSettingsInput: document.getElementById("importSettingsInput"),
+      resetSettingsBtn: document.getElementById("resetSettingsBtn"),
+      relayOnlyToggle: document.getElementById("relayOnlyToggle"),
+      iceServersInput: document.getElementById("iceServersInput"),
+      // NUEVO: Prueba de audio antes de entrar
+      audioCheckBtn: document.getElementById("audioCheckBtn"),
+      audioCheckPanel: document.getElementById("audioCheckPanel"),
+      setupMicSelector: document.getElementById("setupMicSelector"),
+      micLevelBar: document.getElementById("micLevelBar"),
+      loopbackToggle: document.getElementById("loopbackToggle"),
+      speakerTestBtn: document.getElementById("speakerTestBtn"),
+      outputSelector: document.getElementById("outputSelector"),
+      outputSelectorContainer: document.getElementById(
+        "outputSelectorContainer"
+      ),
+      // NUEVO: Efectos de entorno sobre lo que escucho
+      listenerEffectsToggle: document.getElementById("listenerEffectsToggle"),
+      // NUEVO: Calibración del micrófono
+      recalibrateBtn: document.getElementById("recalibrateBtn"),
+      calibrationStatus: document.getElementById("calibrationStatus"),
+      // NUEVO: Cambiador de voz
+      voiceSelector: document.getElementById("voiceSelector"),
+      voiceLockNotice: document.getElementById("voiceLockNotice"),
     };
 
     this.elements.minecraftConnectContainer.id = "minecraftConnectContainer";
@@ -1462,9 +4056,126 @@ class UIManager {
 
     // NUEVO: Detectar si es PC (tiene teclado físico)
     this.isPC = this.detectPC();
-    if (this.isPC && this.elements.pttContainer) {
+    // El botón táctil solo sirve dentro de una sala y con PTT
+    this.inCall = false;
+    this.transmissionMode = "open";
+    if (this.elements.pttContainer) {
       this.elements.pttContainer.style.display = "block";
     }
+
+    // NUEVO: En móvil el Push-to-Talk usa el botón en pantalla
+    if (!this.isPC && this.elements.transmissionMode) {
+      const option = this.elements.transmissionMode.querySelector(
+        'option[value="ptt"]'
+      );
+      if (option) option.textContent = "Push to Talk (on-screen button)";
+    }
+  }
+
+  // NUEVO: Pintar los perfiles de Push-to-Talk. Los valores se asignan por
+  // DOM (no innerHTML) porque el nombre lo escribe el usuario
+  renderPttProfiles(profiles) {
+    const list = this.elements.pttProfilesList;
+    if (!list) return;
+    list.innerHTML = "";
+
+    profiles.forEach((profile) => {
+      const row = document.createElement("div");
+      row.className = "ptt-profile";
+      row.dataset.profile = profile.name;
+
+      const name = document.createElement("input");
+      name.type = "text";
+      name.className = "ptt-key-input";
+      name.dataset.field = "name";
+      name.value = profile.name;
+
+      const binding = document.createElement("button");
+      binding.type = "button";
+      binding.className = "ptt-key-button";
+      binding.dataset.field = "binding";
+      binding.textContent = profile.display;
+
+      const mode = document.createElement("select");
+      mode.className = "mic-selector";
+      mode.dataset.field = "mode";
+      [
+        ["hold", "Hold to talk"],
+        ["toggle", "Toggle (press to open/close)"],
+      ].forEach(([value, label]) => mode.add(new Option(label, value)));
+      mode.value = profile.mode;
+
+      const talkMode = document.createElement("select");
+      talkMode.className = "mic-selector";
+      talkMode.dataset.field = "talkMode";
+      [
+        ["normal", "Normal voice"],
+        ["whisper", "Whisper (nearby only)"],
+      ].forEach(([value, label]) => talkMode.add(new Option(label, value)));
+      talkMode.value = profile.talkMode;
+
+      const delay = document.createElement("input");
+      delay.type = "number";
+      delay.className = "ptt-key-input";
+      delay.dataset.field = "releaseDelayMs";
+      delay.min = 0;
+      delay.max = 2000;
+      delay.step = 50;
+      delay.value = profile.releaseDelayMs;
+      delay.title = "Release delay (ms)";
+
+      const remove = document.createElement("button");
+      remove.type = "button";
+      remove.className = "secondary-btn";
+      remove.dataset.field = "remove";
+      remove.textContent = "🗑️ Remove";
+      remove.disabled = profiles.length === 1;
+
+      row.append(name, binding, mode, talkMode, delay, remove);
+      list.appendChild(row);
+    });
+  }
+
+  // NUEVO: Mostrar los ajustes del modo de transmisión elegido
+  showTransmissionSettings(mode) {
+    const isPTT = mode === "ptt";
+    this.transmissionMode = mode;
+
+    // Perfiles de teclado/ratón/mando en PC, botón táctil en móvil
+    if (this.elements.pttKeySelector) {
+      this.elements.pttKeySelector.style.display =
+        isPTT && this.isPC ? "flex" : "none";
+    }
+    if (this.elements.touchPttSettings) {
+      this.elements.touchPttSettings.style.display =
+        isPTT && !this.isPC ? "flex" : "none";
+    }
+    this.updateTouchPttVisibility();
+    if (this.elements.vadSettings) {
+      this.elements.vadSettings.style.display =
+        mode === "vad" ? "flex" : "none";
+    }
+  }
+
+  updateTouchPttVisibility() {
+    if (!this.elements.touchPttButton) return;
+
+    const show =
+      this.inCall && this.transmissionMode === "ptt" && !this.isPC;
+    this.elements.touchPttButton.style.display = show ? "flex" : "none";
+  }
+
+  // NUEVO: Estado visual del botón táctil
+  updateTouchPttButton(isTalking, talkMode = "normal") {
+    const button = this.elements.touchPttButton;
+    if (!button) return;
+
+    button.classList.toggle("active", isTalking);
+    button.textContent = isTalking
+      ? talkMode === "whisper"
+        ? "🤫"
+        : "🎤"
+      : "🔇";
   }
 
   // NUEVO: Detectar si el usuario está en PC
@@ -1496,6 +4207,8 @@ class UIManager {
   showCallControls(show) {
     this.elements.setupSection.style.display = show ? "none" : "block";
     this.elements.callControls.style.display = show ? "flex" : "none";
+    this.inCall = show;
+    this.updateTouchPttVisibility();
   }
 
   updateGameStatus(isInGame) {
@@ -1567,19 +4280,60 @@ class UIManager {
     container.innerHTML = "";
   }
 
+  // NUEVO: La lista se actualiza por gamertag en lugar de reconstruirse,
+  // así el slider de volumen no se pierde mientras se arrastra
   updateParticipantsList(participants) {
-    this.elements.participantsList.innerHTML = "";
+    const list = this.elements.participantsList;
+    const rows = new Map(
+      Array.from(list.querySelectorAll(".participant")).map((el) => [
+        el.dataset.gamertag,
+        el,
+      ])
+    );
 
     participants.forEach((p) => {
       const info = p.getDisplayInfo();
-      const div = document.createElement("div");
-      div.className = "participant";
+      let div = rows.get(info.gamertag);
+      if (div) {
+        rows.delete(info.gamertag);
+      } else {
+        div = this.createParticipantRow(info);
+      }
+      // appendChild mueve la fila existente: se conserva el orden
+      list.appendChild(div);
+
+      div.classList.toggle("speaking", info.isSpeaking);
+      div.style.setProperty("--speaking-level", info.speakingLevel);
 
       const distanceText = info.isSelf ? "" : ` - ${info.distance}m`;
-      const volumeIcon =
-        info.volume === 0 ? "🔇" : info.volume < 0.3 ? "🔉" : "🔊";
+      const radioText = info.onRadio ? " 📻" : "";
+      const whisperText = info.isWhispering ? " 🤫" : "";
+      div.querySelector(".participant-name").textContent = `${info.gamertag}${
+        info.isSelf ? " (You)" : ""
+      }${distanceText}${radioText}${whisperText}`;
+
+      if (!info.isSelf) {
+        const volumeIcon =
+          info.volume === 0 ? "🔇" : info.volume < 0.3 ? "🔉" : "🔊";
+        div.querySelector(".volume-indicator").textContent = volumeIcon;
+
+        const slider = div.querySelector(".participant-volume");
+        if (document.activeElement !== slider) {
+          slider.value = Math.round(info.localVolume * 100);
+        }
+      }
+    });
+
+    // Quitar a los que ya no están
+    rows.forEach((div) => div.remove());
+  }
+
+  createParticipantRow(info) {
+    const div = document.createElement("div");
+    div.className = "participant";
+    div.dataset.gamertag = info.gamertag;
 
-      div.innerHTML = `
+    div.innerHTML = `
         <img 
           src="${info.skinUrl}" 
           alt="${info.gamertag}" 
@@ -1587,18 +4341,59 @@ class UIManager {
           onerror="this.style.display='none'; this.nextElementSibling.style.display='inline';"
         />
         <span class="participant-icon" style="display:none;">👤</span>
-        <span class="participant-name">${info.gamertag}${
-        info.isSelf ? " (You)" : ""
-      }${distanceText}</span>
+        <span class="participant-name"></span>
         ${
           !info.isSelf
-            ? `<span class="volume-indicator">${volumeIcon}</span>`
+            ? `<input type="range" class="participant-volume" min="0" max="${
+                Participant.MAX_LOCAL_VOLUME * 100
+              }" step="5" value="100" title="Volume for this player" />
+        <span class="volume-indicator"></span>`
             : ""
         }
       `;
 
-      this.elements.participantsList.appendChild(div);
+    const slider = div.querySelector(".participant-volume");
+    slider?.addEventListener("input", () => {
+      slider.title = `Volume for this player: ${slider.value}%`;
+      if (this.onParticipantVolumeChange) {
+        this.onParticipantVolumeChange(info.gamertag, slider.value / 100);
+      }
     });
+
+    return div;
+  }
+
+  setOnParticipantVolumeChange(callback) {
+    this.onParticipantVolumeChange = callback;
+  }
+
+  // NUEVO: Actualizar solo el anillo de habla de un participante, sin
+  // reconstruir la lista
+  updateSpeakingIndicator(gamertag, isSpeaking, level) {
+    const div = Array.from(
+      this.elements.participantsList.querySelectorAll(".participant")
+    ).find((el) => el.dataset.gamertag === gamertag);
+    if (!div) return;
+
+    div.classList.toggle("speaking", isSpeaking);
+    div.style.setProperty("--speaking-level", level);
+  }
+
+  updateCalibrationStatus(message) {
+    if (this.elements.calibrationStatus) {
+      this.elements.calibrationStatus.textContent = message;
+    }
+  }
+
+  // NUEVO: Reflejar la voz activa y si un admin la bloqueó
+  updateVoiceSelector(voice, locked) {
+    if (!this.elements.voiceSelector) return;
+
+    this.elements.voiceSelector.value = voice;
+    this.elements.voiceSelector.disabled = locked;
+    if (this.elements.voiceLockNotice) {
+      this.elements.voiceLockNotice.style.display = locked ? "block" : "none";
+    }
   }
 
   getGamertag() {
@@ -1611,39 +4406,50 @@ class UIManager {
 
 
   // NUEVO: Poblar el selector de micrófonos
-  async populateMicrophoneSelector() {
-    if (!this.elements.micSelector) {
+  // selectedDeviceId: dispositivo a marcar (el que está en uso), si existe.
+  // selector: el de la llamada o el de la prueba de audio
+  async populateMicrophoneSelector(
+    selectedDeviceId = null,
+    selector = this.elements.micSelector
+  ) {
+    if (!selector) {
       console.error("❌ Mic selector element not found");
       return;
     }
 
     try {
-      // IMPORTANTE: Solicitar permisos de micrófono primero si no los tenemos
-      // Esto asegura que enumerateDevices() devuelva los labels reales
-      try {
-        // Pedir un stream temporal solo para asegurar que tenemos permisos
-        const tempStream = await navigator.mediaDevices.getUserMedia({ audio: true });
-        // Detenerlo inmediatamente, solo lo necesitábamos para los permisos
-        tempStream.getTracks().forEach(track => track.stop());
-        console.log("✓ Microphone permissions confirmed");
-      } catch (permError) {
-        console.warn("⚠️ Could not get temporary mic access:", permError);
+      let devices = await navigator.mediaDevices.enumerateDevices();
+
+      // IMPORTANTE: Sin permisos enumerateDevices() no devuelve labels.
+      // Solo en ese caso se pide un stream temporal
+      if (devices.some((d) => d.kind === "audioinput" && !d.label)) {
+        try {
+          // Pedir un stream temporal solo para asegurar que tenemos permisos
+          const tempStream = await navigator.mediaDevices.getUserMedia({ audio: true });
+          // Detenerlo inmediatamente, solo lo necesitábamos para los permisos
+          tempStream.getTracks().forEach(track => track.stop());
+          console.log("✓ Microphone permissions confirmed");
+          devices = await navigator.mediaDevices.enumerateDevices();
+        } catch (permError) {
+          console.warn("⚠️ Could not get temporary mic access:", permError);
+        }
       }
-      
-      // Ahora sí, enumerar dispositivos - deberían tener labels
-      const devices = await navigator.mediaDevices.enumerateDevices();
+
       const audioInputs = devices.filter(device => device.kind === 'audioinput');
+      const hasSelected = audioInputs.some(
+        (device) => device.deviceId === selectedDeviceId
+      );
       
       console.log(`🎤 Found ${audioInputs.length} audio input devices:`);
       audioInputs.forEach((device, index) => {
         console.log(`  [${index}] ${device.label || 'Unnamed'} (${device.deviceId.substring(0, 20)}...)`);
       });
       
-      this.elements.micSelector.innerHTML = '';
+      selector.innerHTML = '';
 
       if (audioInputs.length === 0) {
-        this.elements.micSelector.innerHTML = '<option value="">No microphones found</option>';
-        this.elements.micSelector.disabled = true;
+        selector.innerHTML = '<option value="">No microphones found</option>';
+        selector.disabled = true;
         return;
       }
 
@@ -1662,15 +4468,17 @@ class UIManager {
         
         option.textContent = label;
         
-        // Marcar como seleccionado el dispositivo "default" o el primero
-        if (device.deviceId === 'default' || index === 0) {
+        // Marcar el dispositivo en uso, o si no el "default" o el primero
+        if (hasSelected) {
+          option.selected = device.deviceId === selectedDeviceId;
+        } else if (device.deviceId === 'default' || index === 0) {
           option.selected = true;
         }
         
-        this.elements.micSelector.appendChild(option);
+        selector.appendChild(option);
       });
 
-      this.elements.micSelector.disabled = false;
+      selector.disabled = false;
       console.log(`✓ Loaded ${audioInputs.length} microphones into selector`);
       
       // Si solo hay un micrófono, mostrar mensaje informativo
@@ -1679,13 +4487,72 @@ class UIManager {
       }
     } catch (error) {
       console.error("❌ Error populating microphone selector:", error);
-      this.elements.micSelector.innerHTML = '<option value="">Error loading microphones</option>';
-      this.elements.micSelector.disabled = true;
+      selector.innerHTML = '<option value="">Error loading microphones</option>';
+      selector.disabled = true;
     }
   }
   isPCDevice() {
     return this.isPC;
   }
+
+  // NUEVO: Prueba de audio
+  showAudioCheck(show) {
+    this.elements.audioCheckPanel.style.display = show ? "block" : "none";
+    this.elements.audioCheckBtn.textContent = show
+      ? "✖ Close audio check"
+      : "🎧 Check your audio";
+    if (!show) {
+      this.elements.loopbackToggle.checked = false;
+      this.updateMicLevel(0);
+    }
+  }
+
+  updateMicLevel(level) {
+    this.elements.micLevelBar.style.width = `${Math.round(level * 100)}%`;
+  }
+
+  // NUEVO: Poblar el selector de salida (auriculares/altavoces)
+  async populateOutputSelector(selectedDeviceId = "") {
+    const selector = this.elements.outputSelector;
+    if (!selector) return;
+
+    const outputs = await AudioOutputManager.getOutputDevices();
+    selector.innerHTML = "";
+
+    // Opción para la salida predeterminada del sistema
+    selector.add(new Option("System default", ""));
+    outputs
+      .filter((device) => device.deviceId !== "default")
+      .forEach((device, index) => {
+        let label = device.label || `Output ${index + 1}`;
+        if (label.length > 50) {
+          label = label.substring(0, 47) + "...";
+        }
+        selector.add(new Option(label, device.deviceId));
+      });
+
+    selector.value = outputs.some((d) => d.deviceId === selectedDeviceId)
+      ? selectedDeviceId
+      : "";
+  }
+
+  showOutputSelector(show) {
+    if (this.elements.outputSelectorContainer) {
+      this.elements.outputSelectorContainer.style.display = show
+        ? "block"
+        : "none";
+    }
+  }
+
+  // NUEVO: Aviso breve en pantalla (cambios de dispositivo, etc.)
+  showNotification(message, durationMs = 4000) {
+    const notification = document.createElement("div");
+    notification.className = "app-notification";
+    notification.textContent = message;
+    document.body.appendChild(notification);
+
+    setTimeout(() => notification.remove(), durationMs);
+  }
 }
 
 // =====================================================
@@ -1694,9 +4561,22 @@ class UIManager {
 // =====================================================
 class VoiceChatApp {
   constructor() {
+    this.settings = new SettingsStore();
+    this.settings.load();
     this.ui = new UIManager();
-    this.audioEffects = new AudioEffectsManager();
+    this.effectPresets = new EffectPresetRegistry();
+    this.audioEffects = new AudioEffectsManager(this.effectPresets);
+    this.listenerEffects = new ListenerEffectsManager(this.effectPresets);
+    this.audioOutput = new AudioOutputManager();
     this.micManager = new MicrophoneManager(this.audioEffects);
+    this.micManager.setOnDeviceEvent((event) =>
+      this.handleMicrophoneDeviceEvent(event)
+    );
+    this.audioCheck = new AudioCheck(
+      this.micManager,
+      this.audioEffects,
+      this.audioOutput
+    );
     this.participantsManager = new ParticipantsManager();
     this.distanceCalculator = new DistanceCalculator(20);
     this.voiceDetector = null;
@@ -1707,6 +4587,11 @@ class VoiceChatApp {
       (participant) => this.onTrackReceived(participant)
     );
     this.pushToTalk = new PushToTalkManager(this.micManager, this.webrtc); // NUEVO: pasar webrtc
+    this.voiceActivation = new VoiceActivationManager(
+      this.webrtc,
+      this.audioEffects
+    );
+    this.transmissionMode = "open"; // "open" | "ptt" | "vad"
     this.minecraft = new MinecraftIntegration(
       this.participantsManager,
       this.audioEffects,
@@ -1716,7 +4601,10 @@ class VoiceChatApp {
     );
 
     this.webrtc.minecraft = this.minecraft;
+    this.webrtc.listenerEffects = this.listenerEffects;
+    this.webrtc.audioOutput = this.audioOutput;
     this.minecraft.setPushToTalkManager(this.pushToTalk);
+    this.minecraft.setListenerEffects(this.listenerEffects);
 
     // Callbacks para mute y deafen
     this.minecraft.setOnMuteChange((isMuted) => {
@@ -1733,26 +4621,22 @@ class VoiceChatApp {
       this.updateUI();
     });
 
-    // NUEVO: Callback para cambios de Push-to-Talk
-    this.pushToTalk.setOnTalkingChange((isTalking) => {
-      // Notificar al servidor sobre el estado de habla
-      if (this.ws && this.ws.readyState === 1) {
-        this.ws.send(
-          JSON.stringify({
-            type: "ptt-status",
-            gamertag: this.currentGamertag,
-            isTalking: isTalking,
-            isMuted: !isTalking, // Si NO está hablando, está muteado
-          })
-        );
-
-        console.log(`📡 PTT status sent: ${isTalking ? "TALKING" : "MUTED"}`);
-      }
+    // NUEVO: Callbacks para cambios de Push-to-Talk y activación por voz
+    this.pushToTalk.setOnTalkingChange((isTalking, talkMode) => {
+      this.ui.updateTouchPttButton(
+        isTalking && this.transmissionMode === "ptt",
+        talkMode
+      );
+      this.sendTransmissionStatus(isTalking, talkMode);
     });
+    this.voiceActivation.setOnTalkingChange((isTalking) =>
+      this.sendTransmissionStatus(isTalking)
+    );
 
     this.ws = null;
     this.currentGamertag = "";
     this.heartbeatInterval = null;
+    this.iceRefreshTimer = null;
   }
 
   async init() {
@@ -1760,8 +4644,15 @@ class VoiceChatApp {
     this.checkHTTPS();
 
     await this.audioEffects.init();
+    this.audioOutput.init();
+    this.listenerEffects.init(this.audioOutput.getInputNode());
     this.setupEventListeners();
+    this.setupTransmissionMode();
     this.setupPushToTalk();
+    this.setupTouchPushToTalk();
+    this.setupAudioCheck();
+    this.setupSettingsPanel();
+    this.applySettings();
     console.log("✓ EnviroVoice initialized");
   }
 
@@ -1804,6 +4695,11 @@ class VoiceChatApp {
     this.ui.elements.gamertagInput.addEventListener("input", (e) => {
       this.currentGamertag = e.target.value.trim();
       this.ui.updateGamertagStatus(this.currentGamertag);
+      this.settings.set("gamertag", this.currentGamertag);
+    });
+
+    this.ui.elements.roomUrlInput.addEventListener("change", () => {
+      this.settings.set("roomUrl", this.ui.getRoomUrl());
     });
 
     this.ui.elements.connectBtn.addEventListener("click", async () => {
@@ -1811,10 +4707,170 @@ class VoiceChatApp {
         await Tone.start();
         console.log("✓ AudioContext activated");
       }
+      this.audioOutput.resume();
       this.connectToRoom();
     });
 
     this.ui.elements.exitBtn.addEventListener("click", () => this.exitCall());
+
+    // NUEVO: Dispositivo de salida
+    this.ui.elements.outputSelector?.addEventListener("change", async (e) => {
+      try {
+        await this.audioOutput.setOutputDevice(e.target.value);
+        this.settings.set("outputDeviceId", e.target.value);
+      } catch (error) {
+        console.error("❌ Error changing output device:", error);
+        alert("Error changing output device: " + error.message);
+        this.ui.populateOutputSelector(this.audioOutput.getDeviceId());
+      }
+    });
+
+    // NUEVO: Volumen propio por jugador (hasta 200%)
+    this.ui.setOnParticipantVolumeChange((gamertag, volume) => {
+      this.participantsManager.get(gamertag)?.setLocalVolume(volume);
+      this.settings.merge("participantVolumes", { [gamertag]: volume });
+    });
+
+    // NUEVO: Efectos de entorno sobre lo que escucho
+    this.ui.elements.listenerEffectsToggle?.addEventListener("change", (e) => {
+      this.listenerEffects.setEnabled(e.target.checked);
+      this.settings.set("listenerEffects", e.target.checked);
+      if (this.minecraft.isInGame()) {
+        this.minecraft.lastEffectChange = 0;
+        this.minecraft.processUpdate();
+      } else {
+        this.listenerEffects.applyEffect("none");
+      }
+    });
+
+    // NUEVO: Recalibrar el ruido de fondo del micrófono
+    this.ui.elements.recalibrateBtn?.addEventListener("click", () =>
+      this.calibrateMicrophone()
+    );
+
+    // NUEVO: Cambiador de voz
+    this.ui.elements.voiceSelector?.addEventListener("change", (e) => {
+      this.settings.set("voice", e.target.value);
+      if (!this.audioEffects.setUserVoice(e.target.value)) {
+        this.ui.updateVoiceSelector(this.audioEffects.getActiveVoice(), true);
+      }
+    });
+
+    this.audioEffects.setOnVoiceChange((voice, locked) => {
+      this.ui.updateVoiceSelector(voice, locked);
+    });
+  }
+
+  // NUEVO: Selector de modo de transmisión (micro abierto, PTT, por voz)
+  setupTransmissionMode() {
+    this.ui.elements.transmissionMode?.addEventListener("change", (e) => {
+      this.setTransmissionMode(e.target.value);
+      this.settings.merge("transmission", { mode: e.target.value });
+    });
+
+    this.ui.elements.vadHangoverInput?.addEventListener("change", (e) => {
+      const ms = Number(e.target.value) || 0;
+      this.voiceActivation.setHangover(ms);
+      this.settings.merge("transmission", { vadHangoverMs: ms });
+    });
+
+    this.ui.elements.vadPreRollInput?.addEventListener("change", (e) => {
+      const ms = Number(e.target.value) || 0;
+      this.voiceActivation.setPreRoll(ms);
+      this.settings.merge("transmission", { vadPreRollMs: ms });
+    });
+  }
+
+  setTransmissionMode(mode) {
+    console.log(`🎙️ Transmission mode: ${this.transmissionMode} → ${mode}`);
+    this.transmissionMode = mode;
+
+    if (mode !== "ptt" && this.pushToTalk.isEnabled()) {
+      this.pushToTalk.setEnabled(false);
+    }
+    if (mode !== "vad" && this.voiceActivation.isEnabled()) {
+      this.voiceActivation.setEnabled(false);
+    }
+
+    if (mode === "ptt") {
+      this.pushToTalk.setEnabled(true);
+    } else if (mode === "vad") {
+      this.voiceActivation.setEnabled(true);
+    } else {
+      this.webrtc.setAudioSendersEnabled(true);
+      this.sendTransmissionStatus(true);
+    }
+
+    this.ui.showTransmissionSettings(mode);
+  }
+
+  // NUEVO: ¿Se está enviando audio ahora mismo según el modo actual?
+  isTransmitting() {
+    switch (this.transmissionMode) {
+      case "ptt":
+        return this.pushToTalk.isSpeaking();
+      case "vad":
+        return this.voiceActivation.isSpeaking();
+      default:
+        return true;
+    }
+  }
+
+  // Notificar al servidor sobre el estado de habla. talkMode "whisper"
+  // indica a los demás clientes que usen el radio de susurro conmigo
+  sendTransmissionStatus(isTalking, talkMode = "normal") {
+    const whispering = isTalking && talkMode === "whisper";
+    this.participantsManager
+      .get(this.currentGamertag)
+      ?.updateTalkMode(talkMode, this.pushToTalk.whisperRadius);
+
+    if (this.ws && this.ws.readyState === 1) {
+      this.ws.send(
+        JSON.stringify({
+          type: "ptt-status",
+          gamertag: this.currentGamertag,
+          isTalking: isTalking,
+          isMuted: !isTalking, // Si NO está hablando, está muteado
+          talkMode: whispering ? "whisper" : "normal",
+          whisperRadius: whispering ? this.pushToTalk.whisperRadius : null,
+        })
+      );
+
+      console.log(
+        `📡 PTT status sent: ${
+          isTalking ? (whispering ? "WHISPERING" : "TALKING") : "MUTED"
+        }`
+      );
+    }
+    this.updateUI();
+  }
+
+  // NUEVO: Botón de Push-to-Talk en pantalla para móviles. Usa pointer
+  // events con captura para que soltar fuera del botón también corte
+  setupTouchPushToTalk() {
+    const button = this.ui.elements.touchPttButton;
+    if (!button) return;
+
+    button.addEventListener("pointerdown", (e) => {
+      e.preventDefault();
+      button.setPointerCapture(e.pointerId);
+      this.pushToTalk.handleTouchStart();
+    });
+
+    const release = (e) => {
+      e.preventDefault();
+      this.pushToTalk.handleTouchEnd();
+    };
+    button.addEventListener("pointerup", release);
+    button.addEventListener("pointercancel", release);
+
+    // Evitar el menú de pulsación larga
+    button.addEventListener("contextmenu", (e) => e.preventDefault());
+
+    this.ui.elements.touchPttLatchToggle?.addEventListener("change", (e) => {
+      this.pushToTalk.setTouchLatch(e.target.checked);
+      this.settings.merge("transmission", { touchLatch: e.target.checked });
+    });
   }
 
   // NUEVO: Configurar Push-to-Talk
@@ -1825,84 +4881,156 @@ class VoiceChatApp {
     }
 
     let isListeningForKey = false;
-    let keyListener = null;
+    let stopCapture = null;
+
+    // NUEVO: Cada cambio de perfiles se guarda en los ajustes
+    const renderProfiles = () => {
+      this.ui.renderPttProfiles(this.pushToTalk.getProfiles());
+      this.settings.merge("ptt", { profiles: this.pushToTalk.getProfiles() });
+    };
+
+    // Selector de binding: tecla (con Ctrl/Alt/Shift/Meta), botón del
+    // ratón que no sea el izquierdo, o botón de un mando
+    const captureBinding = (button, profileName) => {
+      if (isListeningForKey) return; // Ya está escuchando
+
+      isListeningForKey = true;
+      button.classList.add("listening");
+      button.textContent = "Press a key, mouse button or gamepad button...";
 
-    // Toggle de PTT
-    this.ui.elements.pttToggle.addEventListener("change", (e) => {
-      const enabled = e.target.checked;
-      this.pushToTalk.setEnabled(enabled);
+      const finish = (binding, display) => {
+        stopCapture();
+        this.pushToTalk.setBinding(binding, display, profileName);
+        renderProfiles();
+      };
 
-      console.log("🎮 PTT Toggle:", enabled);
-      console.log(
-        "🎮 pttKeySelector element:",
-        this.ui.elements.pttKeySelector
-      );
+      const keyListener = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
 
-      if (this.ui.elements.pttKeySelector) {
-        this.ui.elements.pttKeySelector.style.display = enabled
-          ? "flex"
-          : "none";
-        console.log("✓ Selector display set to:", enabled ? "flex" : "none");
-      } else {
-        console.error("❌ pttKeySelector element not found!");
-      }
+        // Esperar a la tecla principal de la combinación
+        if (PushToTalkManager.MODIFIER_KEYS.includes(e.key)) return;
+
+        finish(
+          {
+            type: "key",
+            code: e.code,
+            ctrl: e.ctrlKey,
+            alt: e.altKey,
+            shift: e.shiftKey,
+            meta: e.metaKey,
+          },
+          this.getKeyDisplay(e)
+        );
+      };
 
-      // Enviar estado inmediatamente cuando cambia el toggle
-      if (this.ws && this.ws.readyState === 1) {
-        const isTalking = enabled ? false : true;
-        const isMuted = enabled ? true : false;
+      const mouseListener = (e) => {
+        // El clic izquierdo se reserva para la interfaz
+        if (e.button === 0) return;
+        e.preventDefault();
+        e.stopPropagation();
 
-        this.ws.send(
-          JSON.stringify({
-            type: "ptt-status",
-            gamertag: this.currentGamertag,
-            isTalking: isTalking,
-            isMuted: isMuted,
-          })
+        finish(
+          { type: "mouse", button: e.button },
+          PushToTalkManager.describeButton("mouse", e.button)
         );
+      };
 
-        console.log(
-          `📡 PTT toggle changed: ${
-            enabled ? "ENABLED (muted)" : "DISABLED (talking)"
-          }`
+      // Ignorar botones que ya estaban pulsados al empezar
+      const heldButtons = PushToTalkManager.getPressedGamepadButtons();
+      let gamepadFrame = requestAnimationFrame(function pollCapture() {
+        const button = PushToTalkManager.getPressedGamepadButtons().find(
+          (b) => !heldButtons.includes(b)
         );
-      }
-    });
+        if (button !== undefined) {
+          finish(
+            { type: "gamepad", button },
+            PushToTalkManager.describeButton("gamepad", button)
+          );
+          return;
+        }
+        gamepadFrame = requestAnimationFrame(pollCapture);
+      });
 
-    // Selector de tecla
-    this.ui.elements.pttKeyInput.addEventListener("click", () => {
-      if (isListeningForKey) return; // Ya está escuchando
+      stopCapture = () => {
+        document.removeEventListener("keydown", keyListener, true);
+        document.removeEventListener("mousedown", mouseListener, true);
+        cancelAnimationFrame(gamepadFrame);
+        isListeningForKey = false;
+      };
 
-      isListeningForKey = true;
-      this.ui.elements.pttKeyInput.classList.add("listening");
-      this.ui.elements.pttKeyInput.textContent = "Press any key...";
-      this.ui.elements.pttKeyDisplay.textContent = "Listening...";
+      document.addEventListener("keydown", keyListener, true);
+      document.addEventListener("mousedown", mouseListener, true);
+    };
 
-      // Remover listener anterior si existe
-      if (keyListener) {
-        document.removeEventListener("keydown", keyListener);
+    // NUEVO: Edición de perfiles (delegada en la lista)
+    const list = this.ui.elements.pttProfilesList;
+
+    list.addEventListener("click", (e) => {
+      const row = e.target.closest(".ptt-profile");
+      if (!row) return;
+      const profileName = row.dataset.profile;
+
+      if (e.target.dataset.field === "binding") {
+        captureBinding(e.target, profileName);
+      } else if (e.target.dataset.field === "remove") {
+        this.pushToTalk.removeProfile(profileName);
+        renderProfiles();
       }
+    });
 
-      // Crear nuevo listener
-      keyListener = (e) => {
-        e.preventDefault();
-        e.stopPropagation();
+    list.addEventListener("change", (e) => {
+      const row = e.target.closest(".ptt-profile");
+      if (!row) return;
+      const profileName = row.dataset.profile;
 
-        const key = e.code;
-        const display = this.getKeyDisplay(e);
+      try {
+        switch (e.target.dataset.field) {
+          case "name":
+            if (e.target.value.trim()) {
+              this.pushToTalk.updateProfile(profileName, {
+                name: e.target.value.trim(),
+              });
+            }
+            break;
+          case "mode":
+          case "talkMode":
+            this.pushToTalk.updateProfile(profileName, {
+              [e.target.dataset.field]: e.target.value,
+            });
+            break;
+          case "releaseDelayMs":
+            this.pushToTalk.updateProfile(profileName, {
+              releaseDelayMs: Math.max(0, Number(e.target.value) || 0),
+            });
+            break;
+        }
+      } catch (error) {
+        alert(error.message);
+      }
+      renderProfiles();
+    });
 
-        this.pushToTalk.setKey(key, display);
-        this.ui.elements.pttKeyInput.textContent = display;
-        this.ui.elements.pttKeyDisplay.textContent = `Press and hold ${display} to talk`;
-        this.ui.elements.pttKeyInput.classList.remove("listening");
+    this.ui.elements.addPttProfileBtn.addEventListener("click", () => {
+      const profiles = this.pushToTalk.getProfiles();
+      let index = profiles.length + 1;
+      while (this.pushToTalk.getProfile(`Profile ${index}`)) index++;
 
-        // Limpiar
-        document.removeEventListener("keydown", keyListener);
-        keyListener = null;
-        isListeningForKey = false;
-      };
+      // Sin binding hasta que el usuario elija uno
+      this.pushToTalk.addProfile({
+        name: `Profile ${index}`,
+        binding: { type: "none" },
+        display: "Click to set",
+      });
+      renderProfiles();
+    });
 
-      document.addEventListener("keydown", keyListener);
+    // NUEVO: Radio del susurro
+    this.ui.elements.whisperRadiusInput?.addEventListener("change", (e) => {
+      this.pushToTalk.setWhisperRadius(Number(e.target.value) || 1);
+      this.settings.merge("ptt", {
+        whisperRadius: this.pushToTalk.whisperRadius,
+      });
     });
 
     // Event listeners para keydown/keyup (PTT funcional)
@@ -1918,11 +5046,45 @@ class VoiceChatApp {
       this.pushToTalk.handleKeyUp(e);
     });
 
+    // NUEVO: Botones del ratón
+    document.addEventListener("mousedown", (e) => {
+      if (isListeningForKey) return;
+      this.pushToTalk.handleMouseDown(e);
+    });
+
+    document.addEventListener("mouseup", (e) => {
+      if (isListeningForKey) return;
+      this.pushToTalk.handleMouseUp(e);
+    });
+
+    // Sin menú contextual si el binding es el clic derecho
+    document.addEventListener("contextmenu", (e) => {
+      if (this.pushToTalk.isEnabled() && this.pushToTalk.isMouseBinding(e)) {
+        e.preventDefault();
+      }
+    });
+
+    window.addEventListener("blur", () => this.pushToTalk.handleBlur());
+
     console.log("✓ Push-to-Talk initialized");
   }
 
-  // NUEVO: Obtener nombre legible de la tecla
+  // NUEVO: Obtener nombre legible de la tecla, con sus modificadores
   getKeyDisplay(event) {
+    const modifiers = [
+      event.ctrlKey && "CTRL",
+      event.altKey && "ALT",
+      event.shiftKey && "SHIFT",
+      event.metaKey && "META",
+    ].filter(Boolean);
+
+    return [...modifiers, this.getKeyName(event)].join("+");
+  }
+
+  getKeyName(event) {
+    // Con modificadores event.key cambia (Alt+V en Mac es "√"): usar el código
+    const match = /^(?:Key|Digit)(.)$/.exec(event.code);
+    if (match) return match[1];
     if (event.key.length === 1) return event.key.toUpperCase();
 
     const keyMap = {
@@ -1960,9 +5122,16 @@ class VoiceChatApp {
       this.webrtc.closeAllConnections();
       if (this.ws) this.ws.close();
 
+      // NUEVO: Si la prueba de audio ya abrió el micrófono, se reutiliza
+      // (con el dispositivo elegido allí)
+      this.audioCheck.stop({ keepMic: true });
+      this.ui.showAudioCheck(false);
+
       // MEJORADO: Mejor manejo de errores al iniciar el micrófono
       try {
-        await this.micManager.start(1.0);
+        if (!this.micManager.getStream()) {
+          await this.micManager.start(1.0);
+        }
       } catch (micError) {
         console.error("Microphone error:", micError);
         let userMessage = "❌ Could not access microphone.\n\n";
@@ -1988,22 +5157,13 @@ class VoiceChatApp {
         return;
       }
 
+      // El track procesado nace activado; ajustarlo al modo de transmisión
+      // (restaurado de los ajustes antes de existir el track) antes de que
+      // createPeerConnection lo envíe a nadie
+      this.webrtc.setAudioSendersEnabled(this.isTransmitting());
+
       // Inicializar Voice Detector
-      const micStream = this.micManager.getStream();
-      if (micStream) {
-        this.voiceDetector = new VoiceDetector(micStream, (isTalking, volumeDb) => {
-          if (this.ws && this.ws.readyState === 1) {
-            this.ws.send(JSON.stringify({
-              type: "voice-detection",
-              gamertag: this.currentGamertag,
-              isTalking: isTalking,
-              volume: volumeDb
-            }));
-          }
-        });
-        
-        this.voiceDetector.setSensitivity('high');
-      }
+      this.createVoiceDetector();
 
       this.webrtc.setGamertag(this.currentGamertag);
       this.minecraft.setGamertag(this.currentGamertag);
@@ -2022,6 +5182,379 @@ class VoiceChatApp {
     }
   }
 
+  // NUEVO: Panel de ajustes: sensibilidad e importar/exportar/restablecer
+  setupSettingsPanel() {
+    const elements = this.ui.elements;
+    if (!elements.sensitivitySelector) return;
+
+    elements.sensitivitySelector.addEventListener("change", (e) => {
+      this.settings.set("sensitivity", e.target.value);
+      // Aplicar al detector actual, si ya se está en la sala
+      if (this.voiceDetector) this.createVoiceDetector();
+    });
+
+    // NUEVO: Red: solo relay y servidores ICE propios
+    elements.relayOnlyToggle.addEventListener("change", (e) => {
+      this.webrtc.setRelayOnly(e.target.checked);
+      this.settings.merge("network", { relayOnly: e.target.checked });
+
+      if (e.target.checked && !this.webrtc.hasRelayServers()) {
+        this.ui.showNotification(
+          "⚠️ Relay-only needs a TURN server from the room or your own list",
+          5000
+        );
+      }
+    });
+
+    elements.iceServersInput.addEventListener("change", (e) => {
+      const text = e.target.value.trim();
+      let iceServers = null;
+
+      if (text) {
+        try {
+          iceServers = WebRTCManager.validateIceServers(JSON.parse(text));
+        } catch (error) {
+          iceServers = null;
+        }
+        if (!iceServers) {
+          alert(
+            'Invalid ICE server list. Expected JSON like [{"urls": "turn:host:3478", "username": "...", "credential": "..."}]'
+          );
+          return;
+        }
+      }
+
+      this.webrtc.setLocalIceServers(iceServers);
+      this.settings.merge("network", { iceServers });
+    });
+
+    elements.exportSettingsBtn.addEventListener("click", () => {
+      const blob = new Blob([this.settings.export()], {
+        type: "application/json",
+      });
+      const link = document.createElement("a");
+      link.href = URL.createObjectURL(blob);
+      link.download = "astrovoice-settings.json";
+      link.click();
+      URL.revokeObjectURL(link.href);
+    });
+
+    elements.importSettingsBtn.addEventListener("click", () =>
+      elements.importSettingsInput.click()
+    );
+
+    elements.importSettingsInput.addEventListener("change", async (e) => {
+      const file = e.target.files[0];
+      e.target.value = ""; // Permitir importar el mismo archivo otra vez
+      if (!file) return;
+
+      try {
+        this.settings.import(await file.text());
+        this.applySettings();
+        this.ui.showNotification("✓ Settings imported");
+      } catch (error) {
+        console.error("❌ Error importing settings:", error);
+        alert("Error importing settings: " + error.message);
+      }
+    });
+
+    elements.resetSettingsBtn.addEventListener("click", () => {
+      if (!confirm("Reset all settings to their defaults?")) return;
+
+      this.settings.reset();
+      this.applySettings();
+      this.ui.showNotification("✓ Settings reset");
+    });
+  }
+
+  // NUEVO: Llevar los ajustes guardados a la interfaz y a los managers.
+  // Se usa al arrancar y después de importar o restablecer
+  applySettings() {
+    const settings = this.settings;
+    const elements = this.ui.elements;
+
+    // Gamertag y sala
+    elements.gamertagInput.value = settings.get("gamertag");
+    elements.roomUrlInput.value = settings.get("roomUrl");
+    this.currentGamertag = settings.get("gamertag");
+    this.ui.updateGamertagStatus(this.currentGamertag);
+
+    // Dispositivos
+    this.micManager.setPreferredDevice(settings.get("microphoneId"));
+    this.audioOutput
+      .setOutputDevice(settings.get("outputDeviceId"))
+      .catch((error) => {
+        console.warn("⚠️ Saved output device unavailable:", error);
+      });
+
+    // Detección de voz
+    elements.sensitivitySelector.value = settings.get("sensitivity");
+
+    // Red
+    const network = settings.get("network");
+    this.webrtc.setLocalIceServers(network.iceServers);
+    this.webrtc.setRelayOnly(network.relayOnly);
+    elements.relayOnlyToggle.checked = network.relayOnly;
+    elements.iceServersInput.value = network.iceServers
+      ? JSON.stringify(network.iceServers, null, 2)
+      : "";
+
+    // Voz y efectos de entorno
+    if (elements.voiceSelector) {
+      elements.voiceSelector.value = settings.get("voice");
+    }
+    this.audioEffects.setUserVoice(settings.get("voice"));
+    if (elements.listenerEffectsToggle) {
+      elements.listenerEffectsToggle.checked = settings.get("listenerEffects");
+    }
+    this.listenerEffects.setEnabled(settings.get("listenerEffects"));
+
+    // Push-to-Talk
+    const ptt = settings.get("ptt");
+    if (ptt.profiles) {
+      this.pushToTalk.setProfiles(ptt.profiles);
+    }
+    this.pushToTalk.setWhisperRadius(ptt.whisperRadius);
+    this.ui.renderPttProfiles(this.pushToTalk.getProfiles());
+    if (elements.whisperRadiusInput) {
+      elements.whisperRadiusInput.value = ptt.whisperRadius;
+    }
+
+    // Modo de transmisión
+    const transmission = settings.get("transmission");
+    this.voiceActivation.setHangover(transmission.vadHangoverMs);
+    this.voiceActivation.setPreRoll(transmission.vadPreRollMs);
+    this.pushToTalk.setTouchLatch(transmission.touchLatch);
+    if (elements.vadHangoverInput) {
+      elements.vadHangoverInput.value = transmission.vadHangoverMs;
+    }
+    if (elements.vadPreRollInput) {
+      elements.vadPreRollInput.value = transmission.vadPreRollMs;
+    }
+    if (elements.touchPttLatchToggle) {
+      elements.touchPttLatchToggle.checked = transmission.touchLatch;
+    }
+
+    // El PTT puede no estar disponible en este dispositivo
+    const modeOption = elements.transmissionMode?.querySelector(
+      `option[value="${transmission.mode}"]`
+    );
+    const mode = modeOption ? transmission.mode : "open";
+    if (elements.transmissionMode) {
+      elements.transmissionMode.value = mode;
+    }
+    if (mode !== this.transmissionMode) {
+      this.setTransmissionMode(mode);
+    }
+
+    // Volumen propio por jugador
+    this.participantsManager.setLocalVolumes(
+      settings.get("participantVolumes")
+    );
+    this.participantsManager.forEach((participant, gamertag) => {
+      const volume = settings.get("participantVolumes")[gamertag];
+      if (!participant.isSelf) participant.setLocalVolume(volume ?? 1);
+    });
+    this.updateUI();
+  }
+
+  // NUEVO: Prueba de audio antes de entrar a la sala
+  setupAudioCheck() {
+    const elements = this.ui.elements;
+    if (!elements.audioCheckBtn) return;
+
+    this.audioCheck.setOnLevel((level) => this.ui.updateMicLevel(level));
+
+    elements.audioCheckBtn.addEventListener("click", async () => {
+      if (this.audioCheck.isRunning()) {
+        this.audioCheck.stop();
+        this.ui.showAudioCheck(false);
+        return;
+      }
+
+      if (Tone.context.state !== "running") {
+        await Tone.start();
+      }
+      this.audioOutput.resume();
+
+      try {
+        await this.audioCheck.start();
+      } catch (error) {
+        console.error("❌ Audio check failed:", error);
+        alert(error.message);
+        return;
+      }
+
+      this.ui.showAudioCheck(true);
+      await this.ui.populateMicrophoneSelector(
+        this.micManager.getActiveDeviceId(),
+        elements.setupMicSelector
+      );
+    });
+
+    elements.setupMicSelector.addEventListener("change", async (e) => {
+      if (!e.target.value) return;
+      try {
+        await this.micManager.changeMicrophone(e.target.value);
+        this.settings.set("microphoneId", this.micManager.preferredDeviceId);
+      } catch (error) {
+        console.error("❌ Error changing microphone:", error);
+        alert("Error changing microphone: " + error.message);
+      }
+    });
+
+    elements.loopbackToggle.addEventListener("change", (e) => {
+      this.audioCheck.setLoopback(e.target.checked);
+    });
+
+    elements.speakerTestBtn.addEventListener("click", () =>
+      this.audioCheck.playTestTone()
+    );
+  }
+
+  // NUEVO: Eventos de hot-plug del micrófono. Las conexiones con los peers
+  // no se tocan: envían el stream procesado, que no cambia
+  handleMicrophoneDeviceEvent(event) {
+    switch (event.type) {
+      case "devices-changed":
+        if (this.audioCheck.isRunning()) {
+          this.ui.populateMicrophoneSelector(
+            this.micManager.getActiveDeviceId(),
+            this.ui.elements.setupMicSelector
+          );
+        }
+        if (this.ws) {
+          this.ui.populateMicrophoneSelector(
+            this.micManager.getActiveDeviceId()
+          );
+          if (this.audioOutput.isSelectionSupported()) {
+            this.ui.populateOutputSelector(this.audioOutput.getDeviceId());
+          }
+        }
+        break;
+      case "switched":
+        // El detector de voz escucha el stream crudo: recrearlo (antes de
+        // entrar a la sala aún no existe)
+        if (this.ws) this.createVoiceDetector();
+        break;
+      case "fallback":
+        this.ui.showNotification(
+          `🎤 Microphone disconnected - using ${event.label}`
+        );
+        break;
+      case "restored":
+        this.ui.showNotification(`🎤 Switched back to ${event.label}`);
+        break;
+      case "restore-failed":
+        this.ui.showNotification(
+          `⚠️ Could not switch back to ${event.label}: ${event.error.message}`
+        );
+        break;
+      case "lost":
+        this.ui.showNotification("⚠️ No microphone available");
+        break;
+    }
+  }
+
+  // NUEVO: Crear el detector de voz para el micrófono actual, con la
+  // calibración guardada de ese dispositivo o calibrando si no hay
+  createVoiceDetector() {
+    if (this.voiceDetector) {
+      this.voiceDetector.dispose();
+      this.voiceDetector = null;
+    }
+
+    const micStream = this.micManager.getStream();
+    if (!micStream) return;
+
+    this.voiceDetector = new VoiceDetector(micStream, (isTalking, volumeDb) => {
+      this.voiceActivation.handleVoiceState(isTalking);
+      this.updateSelfSpeaking(isTalking, volumeDb);
+
+      if (this.ws && this.ws.readyState === 1) {
+        this.ws.send(JSON.stringify({
+          type: "voice-detection",
+          gamertag: this.currentGamertag,
+          isTalking: isTalking,
+          volume: volumeDb
+        }));
+      }
+    }, this.settings);
+
+    // NUEVO: Sensibilidad fija elegida en los ajustes, sin calibración
+    const sensitivity = this.settings.get("sensitivity");
+    if (sensitivity !== "auto") {
+      this.voiceDetector.setSensitivity(sensitivity);
+      this.ui.updateCalibrationStatus(`Sensitivity: ${sensitivity}`);
+    } else if (this.voiceDetector.loadSavedCalibration()) {
+      this.ui.updateCalibrationStatus(
+        `✓ Noise floor: ${this.voiceDetector.noiseFloor.toFixed(0)} dB`
+      );
+    } else {
+      this.voiceDetector.setSensitivity('high');
+      this.calibrateMicrophone();
+    }
+  }
+
+  // NUEVO: Indicador de habla propio. Solo se marca si además se está
+  // transmitiendo (PTT pulsado o puerta de voz abierta)
+  updateSelfSpeaking(isTalking, volumeDb) {
+    const self = this.participantsManager.get(this.currentGamertag);
+    if (!self) return;
+
+    const level = isTalking && this.isTransmitting() ? volumeDb : -Infinity;
+    if (self.updateSpeaking(level)) {
+      this.ui.updateSpeakingIndicator(
+        self.gamertag,
+        self.isSpeaking,
+        self.speakingLevel
+      );
+    }
+  }
+
+  // NUEVO: Revisar el nivel de los streams remotos. Solo se tocan en el DOM
+  // los participantes cuyo estado cambió
+  updateSpeakingIndicators() {
+    const now = Date.now();
+    this.participantsManager.forEach((p) => {
+      if (p.isSelf || !p.audioChain) return;
+
+      if (p.updateSpeaking(p.audioChain.getLevelDb(), now)) {
+        this.ui.updateSpeakingIndicator(
+          p.gamertag,
+          p.isSpeaking,
+          p.speakingLevel
+        );
+      }
+    });
+  }
+
+  // NUEVO: Medir el ruido ambiente del micrófono actual
+  async calibrateMicrophone() {
+    if (!this.voiceDetector) return;
+
+    // Recalibrar vuelve a la sensibilidad automática
+    if (this.settings.get("sensitivity") !== "auto") {
+      this.settings.set("sensitivity", "auto");
+      this.ui.elements.sensitivitySelector.value = "auto";
+    }
+
+    const detector = this.voiceDetector;
+    this.ui.updateCalibrationStatus(
+      "🎚️ Calibrating microphone... stay quiet for a moment"
+    );
+    const floor = await detector.calibrate();
+
+    // El detector pudo cambiar mientras tanto (cambio de micrófono)
+    if (detector !== this.voiceDetector) return;
+
+    this.ui.updateCalibrationStatus(
+      floor === null
+        ? "⚠️ Calibration failed"
+        : `✓ Noise floor: ${floor.toFixed(0)} dB`
+    );
+  }
+
   async onWebSocketOpen() {
     this.ui.updateRoomInfo("✅ Connected to voice chat");
 
@@ -2030,23 +5563,8 @@ class VoiceChatApp {
     );
     this.ws.send(JSON.stringify({ type: "request-participants" }));
 
-    // NUEVO: Enviar estado inicial de PTT
-    const isPTTEnabled = this.pushToTalk.isEnabled();
-    const isTalking = isPTTEnabled ? this.pushToTalk.isSpeaking() : true;
-    const isMuted = isPTTEnabled ? !this.pushToTalk.isSpeaking() : false;
-
-    this.ws.send(
-      JSON.stringify({
-        type: "ptt-status",
-        gamertag: this.currentGamertag,
-        isTalking: isTalking,
-        isMuted: isMuted,
-      })
-    );
-
-    console.log(
-      `📡 Initial PTT state sent: ${isTalking ? "TALKING" : "MUTED"}`
-    );
+    // NUEVO: Enviar estado inicial de transmisión
+    this.sendTransmissionStatus(this.isTransmitting());
 
     this.ui.showCallControls(true);
     this.participantsManager.add(this.currentGamertag, true);
@@ -2054,7 +5572,15 @@ class VoiceChatApp {
 
 
     // NUEVO: Cargar lista de micrófonos disponibles
-    await this.ui.populateMicrophoneSelector();
+    await this.ui.populateMicrophoneSelector(
+      this.micManager.getActiveDeviceId()
+    );
+
+    // NUEVO: Y de salidas, si el navegador permite elegirla
+    this.ui.showOutputSelector(this.audioOutput.isSelectionSupported());
+    if (this.audioOutput.isSelectionSupported()) {
+      await this.ui.populateOutputSelector(this.audioOutput.getDeviceId());
+    }
     
     // NUEVO: Event listener para cambio de micrófono
     if (this.ui.elements.micSelector) {
@@ -2065,32 +5591,11 @@ class VoiceChatApp {
         try {
           console.log(`🎤 User selected microphone: ${deviceId}`);
           
-          // Cambiar el micrófono
+          // Cambiar el micrófono (el voice detector se recrea con el
+          // evento "switched"). Los peers siguen recibiendo el stream
+          // procesado, que no cambia
           await this.micManager.changeMicrophone(deviceId);
-          
-          // Reinicializar el voice detector con el nuevo stream
-          if (this.voiceDetector) {
-            this.voiceDetector.dispose();
-          }
-          
-          const micStream = this.micManager.getStream();
-          if (micStream) {
-            this.voiceDetector = new VoiceDetector(micStream, (isTalking, volumeDb) => {
-              if (this.ws && this.ws.readyState === 1) {
-                this.ws.send(JSON.stringify({
-                  type: "voice-detection",
-                  gamertag: this.currentGamertag,
-                  isTalking: isTalking,
-                  volume: volumeDb
-                }));
-              }
-            });
-            
-            this.voiceDetector.setSensitivity('high');
-          }
-          
-          // Reinicializar WebRTC con el nuevo micrófono
-          await this.webrtc.updateMicrophoneStream(micStream);
+          this.settings.set("microphoneId", this.micManager.preferredDeviceId);
           
           console.log("✅ Microphone changed successfully");
         } catch (error) {
@@ -2111,6 +5616,12 @@ class VoiceChatApp {
         );
       }
     }, 15000);
+
+    // NUEVO: Indicadores de habla de los participantes remotos
+    this.speakingInterval = setInterval(
+      () => this.updateSpeakingIndicators(),
+      100
+    );
   }
 
   async onWebSocketMessage(msg) {
@@ -2139,7 +5650,7 @@ class VoiceChatApp {
 
             // Si PTT NO está activo, aplicar el cambio inmediatamente
             if (!this.pushToTalk || !this.pushToTalk.isEnabled()) {
-              this.mic.setEnabled(!myState.isMuted);
+              this.micManager.setEnabled(!myState.isMuted);
             }
           }
 
@@ -2172,7 +5683,7 @@ class VoiceChatApp {
             if (myState.isDeafened) {
               this.minecraft.remoteMuted = true;
               if (!this.pushToTalk || !this.pushToTalk.isEnabled()) {
-                this.mic.setEnabled(false);
+                this.micManager.setEnabled(false);
               }
             }
           }
@@ -2192,19 +5703,10 @@ class VoiceChatApp {
         console.log(`👋 ${data.gamertag} joined the room`);
         this.participantsManager.add(data.gamertag, false);
 
+        // La oferta sale sola (onnegotiationneeded). Si el otro también
+        // ofrece a la vez, WebRTCManager resuelve el cruce
         if (!this.webrtc.getPeerConnection(data.gamertag)) {
-          const pc = await this.webrtc.createPeerConnection(data.gamertag);
-          const offer = await pc.createOffer();
-          await pc.setLocalDescription(offer);
-
-          this.ws.send(
-            JSON.stringify({
-              type: "offer",
-              offer: offer,
-              from: this.currentGamertag,
-              to: data.gamertag,
-            })
-          );
+          await this.webrtc.createPeerConnection(data.gamertag);
         }
         this.updateUI();
       } else if (data.type === "leave") {
@@ -2223,43 +5725,43 @@ class VoiceChatApp {
         console.log(`📨 Received offer from ${data.from}`);
         this.participantsManager.add(data.from, false);
 
-        const pc = await this.webrtc.createPeerConnection(data.from);
-
-        if (
-          pc.signalingState === "stable" ||
-          pc.signalingState === "have-local-offer"
-        ) {
-          await pc.setRemoteDescription(new RTCSessionDescription(data.offer));
-          const answer = await pc.createAnswer();
-          await pc.setLocalDescription(answer);
-
-          this.ws.send(
-            JSON.stringify({
-              type: "answer",
-              answer: answer,
-              from: this.currentGamertag,
-              to: data.from,
-            })
-          );
-          console.log(`📤 Sent answer to ${data.from}`);
-        }
+        await this.webrtc.handleOffer(
+          data.from,
+          data.offer,
+          data.connectionId
+        );
         this.updateUI();
       } else if (data.type === "answer" && data.to === this.currentGamertag) {
         console.log(`📨 Received answer from ${data.from}`);
-        const pc = this.webrtc.getPeerConnection(data.from);
-
-        if (pc && pc.signalingState === "have-local-offer") {
-          await pc.setRemoteDescription(new RTCSessionDescription(data.answer));
-          console.log(`✓ Answer applied for ${data.from}`);
-        }
+        await this.webrtc.handleAnswer(
+          data.from,
+          data.answer,
+          data.connectionId
+        );
       } else if (
         data.type === "ice-candidate" &&
         data.to === this.currentGamertag
       ) {
-        const pc = this.webrtc.getPeerConnection(data.from);
-        if (pc && data.candidate) {
-          await pc.addIceCandidate(new RTCIceCandidate(data.candidate));
+        await this.webrtc.handleIceCandidate(
+          data.from,
+          data.candidate,
+          data.connectionId
+        );
+      } else if (
+        data.type === "ptt-status" &&
+        data.gamertag !== this.currentGamertag
+      ) {
+        // NUEVO: Modo de habla de otro jugador (susurro = alcance reducido)
+        const participant = this.participantsManager.get(data.gamertag);
+        if (participant) {
+          participant.updateTalkMode(
+            data.isTalking ? data.talkMode : "normal",
+            data.whisperRadius
+          );
+          this.updateUI();
         }
+      } else if (data.type === "ice-servers") {
+        this.handleIceServers(data);
       } else if (data.type === "participants-list") {
         console.log(`📋 Received participants list: ${data.list.join(", ")}`);
         data.list.forEach((gt) => {
@@ -2274,6 +5776,33 @@ class VoiceChatApp {
     }
   }
 
+  // NUEVO: Servidores ICE de la sala, enviados al unirse. Si traen ttl
+  // (credenciales TURN temporales) se piden otros antes de que caduquen
+  handleIceServers(data) {
+    this.webrtc.setRoomIceServers(data.iceServers);
+    console.log(
+      `❄️ Room ICE servers received (${data.iceServers?.length || 0})`
+    );
+
+    clearTimeout(this.iceRefreshTimer);
+    this.iceRefreshTimer = null;
+
+    if (data.ttl > 0) {
+      this.iceRefreshTimer = setTimeout(() => {
+        if (this.ws && this.ws.readyState === 1) {
+          this.ws.send(JSON.stringify({ type: "request-ice-servers" }));
+        }
+      }, data.ttl * 1000 * 0.8);
+    }
+
+    if (this.webrtc.relayOnly && !this.webrtc.hasRelayServers()) {
+      this.ui.showNotification(
+        "⚠️ Relay-only is on but the room has no TURN server",
+        5000
+      );
+    }
+  }
+
   onWebSocketError() {
     this.ui.updateRoomInfo("❌ Connection error");
     this.exitCall();
@@ -2312,6 +5841,15 @@ class VoiceChatApp {
       clearInterval(this.heartbeatInterval);
       this.heartbeatInterval = null;
     }
+    if (this.speakingInterval) {
+      clearInterval(this.speakingInterval);
+      this.speakingInterval = null;
+    }
+    if (this.iceRefreshTimer) {
+      clearTimeout(this.iceRefreshTimer);
+      this.iceRefreshTimer = null;
+    }
+    this.webrtc.setRoomIceServers(null);
 
     this.ui.showCallControls(false);
     this.ui.updateRoomInfo("");
@@ -2351,24 +5889,7 @@ class VoiceChatApp {
   }
 
   testAudioOutput() {
-    console.log("🔊 Generating test tone of 440Hz for 2 seconds...");
-
-    const audioContext = Tone.context.rawContext || Tone.context._context;
-    const oscillator = audioContext.createOscillator();
-    const gainNode = audioContext.createGain();
-
-    oscillator.type = "sine";
-    oscillator.frequency.value = 440;
-    gainNode.gain.value = 0.3;
-
-    oscillator.connect(gainNode);
-    gainNode.connect(audioContext.destination);
-
-    oscillator.start();
-    setTimeout(() => {
-      oscillator.stop();
-      console.log("✓ Test tone finished");
-    }, 2000);
+    this.audioCheck.playTestTone();
   }
 
   diagnoseWebRTC() {
@@ -0,0 +1,224 @@
+// =====================================================
+// CLASE: SettingsStore
+// Ajustes persistentes del usuario en localStorage, versionados.
+// Al cargar se migran los datos de versiones anteriores y se
+// completan con los valores por defecto.
+// =====================================================
+class SettingsStore {
+  constructor(storage = window.localStorage) {
+    this.storage = storage;
+    this.data = SettingsStore.createDefaults();
+    // Datos de una versión más nueva de la app: se usan los valores por
+    // defecto y no se guarda nada para no pisarlos
+    this.readOnly = false;
+  }
+
+  static createDefaults() {
+    return {
+      version: SettingsStore.VERSION,
+      gamertag: "",
+      roomUrl: "",
+      microphoneId: null, // null = micrófono predeterminado
+      outputDeviceId: "", // "" = salida predeterminada
+      sensitivity: "auto", // "auto" = calibración, o "low" | "medium" | "high"
+      voice: "none",
+      listenerEffects: true,
+      transmission: {
+        mode: "open",
+        vadHangoverMs: 300,
+        vadPreRollMs: 150,
+        touchLatch: false,
+      },
+      ptt: {
+        profiles: null, // null = perfiles por defecto de PushToTalkManager
+        whisperRadius: 4,
+      },
+      network: {
+        iceServers: null, // null = los de la sala (o STUN por defecto)
+        relayOnly: false,
+      },
+      calibrations: {}, // { deviceId: { noiseFloor, updatedAt } }
+      participantVolumes: {}, // { gamertag: 0–2 }
+    };
+  }
+
+  load() {
+    let stored = null;
+    try {
+      stored = JSON.parse(this.storage.getItem(SettingsStore.STORAGE_KEY));
+    } catch (e) {
+      console.warn("⚠️ Stored settings are corrupted, using defaults:", e);
+    }
+
+    try {
+      const data = stored || { version: 0 };
+      const migrated = this.migrate(data);
+      if ((data.version || 0) < 1) {
+        this.migrateLegacyStorage(migrated);
+      }
+      this.data = this.normalize(migrated);
+    } catch (e) {
+      console.warn("⚠️ Could not load settings, using defaults:", e);
+      this.data = SettingsStore.createDefaults();
+      this.readOnly = true;
+      return this.data;
+    }
+
+    this.save();
+    console.log(`✓ Settings loaded (v${this.data.version})`);
+    return this.data;
+  }
+
+  // Antes de v1 solo se guardaba la calibración del micrófono, en su
+  // propia clave. Solo al cargar: importar no debe tocar este navegador
+  migrateLegacyStorage(data) {
+    const legacyKey = "vadCalibration";
+    try {
+      const calibrations = JSON.parse(this.storage.getItem(legacyKey));
+      if (calibrations) {
+        data.calibrations = { ...calibrations, ...data.calibrations };
+      }
+      this.storage.removeItem(legacyKey);
+    } catch (e) {
+      console.warn("⚠️ Could not migrate microphone calibration:", e);
+    }
+  }
+
+  save() {
+    if (this.readOnly) return;
+
+    try {
+      this.storage.setItem(SettingsStore.STORAGE_KEY, JSON.stringify(this.data));
+    } catch (e) {
+      console.warn("⚠️ Could not save settings:", e);
+    }
+  }
+
+  // Aplicar las migraciones pendientes, una versión cada vez
+  migrate(data) {
+    let migrated = { ...data };
+    const from = migrated.version || 0;
+
+    if (from > SettingsStore.VERSION) {
+      throw new Error(
+        `Settings are from a newer version (v${from}) of the app`
+      );
+    }
+
+    for (let version = from; version < SettingsStore.VERSION; version++) {
+      migrated = SettingsStore.MIGRATIONS[version](migrated);
+      migrated.version = version + 1;
+      console.log(`🔄 Settings migrated to v${migrated.version}`);
+    }
+    return migrated;
+  }
+
+  // Completar con los valores por defecto (un nivel de profundidad)
+  normalize(data) {
+    const defaults = SettingsStore.createDefaults();
+    const result = { ...defaults };
+
+    Object.keys(defaults).forEach((key) => {
+      if (data[key] === undefined) return;
+
+      const isGroup =
+        defaults[key] !== null &&
+        typeof defaults[key] === "object" &&
+        !Array.isArray(defaults[key]);
+      result[key] = isGroup ? { ...defaults[key], ...data[key] } : data[key];
+    });
+
+    result.version = SettingsStore.VERSION;
+    return result;
+  }
+
+  // Rechazar valores con un tipo distinto al de los valores por defecto
+  // (un nivel dentro de los grupos, igual que normalize)
+  validate(data) {
+    const typeOf = (value) =>
+      value === null ? "null" : Array.isArray(value) ? "array" : typeof value;
+
+    const check = (path, value, defaultValue) => {
+      if (value === undefined) return;
+
+      const expected = typeOf(defaultValue);
+      const actual = typeOf(value);
+      const nullable = SettingsStore.NULLABLE_TYPES[path];
+      const valid = nullable
+        ? actual === "null" || actual === nullable
+        : actual === expected;
+      if (!valid) {
+        throw new Error(`Invalid value for "${path}" in settings file`);
+      }
+    };
+
+    const defaults = SettingsStore.createDefaults();
+    Object.keys(defaults).forEach((key) => {
+      check(key, data[key], defaults[key]);
+
+      if (typeOf(defaults[key]) === "object" && data[key] !== undefined) {
+        Object.keys(defaults[key]).forEach((field) => {
+          check(`${key}.${field}`, data[key][field], defaults[key][field]);
+        });
+      }
+    });
+  }
+
+  get(key) {
+    return this.data[key];
+  }
+
+  set(key, value) {
+    this.data[key] = value;
+    this.save();
+  }
+
+  // Actualizar algunos campos de un grupo ("transmission", "ptt"...)
+  merge(key, patch) {
+    this.set(key, { ...this.data[key], ...patch });
+  }
+
+  // NUEVO: Exportar / importar como archivo JSON
+  export() {
+    return JSON.stringify(this.data, null, 2);
+  }
+
+  import(json) {
+    const parsed = JSON.parse(json);
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+      throw new Error("The file does not contain valid settings");
+    }
+
+    const migrated = this.migrate(parsed);
+    this.validate(migrated);
+    this.data = this.normalize(migrated);
+    this.readOnly = false; // Importar o restablecer sí reemplaza lo guardado
+    this.save();
+    console.log("✓ Settings imported");
+    return this.data;
+  }
+
+  reset() {
+    this.data = SettingsStore.createDefaults();
+    this.readOnly = false;
+    this.save();
+  }
+}
+
+SettingsStore.STORAGE_KEY = "astroVoiceSettings";
+SettingsStore.VERSION = 1;
+
+// Campos cuyo valor por defecto es null: tipo permitido además de null
+SettingsStore.NULLABLE_TYPES = {
+  microphoneId: "string",
+  "ptt.profiles": "array",
+  "network.iceServers": "array",
+};
+
+// MIGRATIONS[n] convierte los datos de la versión n a la n + 1. Solo
+// transforman los datos (se usan también al importar); lo que haya que
+// leer de localStorage va en migrateLegacyStorage
+SettingsStore.MIGRATIONS = [
+  // v0 → v1: no había ajustes guardados con este formato
+  (data) => data,
+];
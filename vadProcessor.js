@@ -0,0 +1,149 @@
+// =====================================================
+// AUDIOWORKLET: VoiceActivityProcessor
+// Detección de voz por energía + proporción en la banda de voz
+// (300–3400 Hz) con histéresis de ataque/liberación.
+// Solo publica cambios de estado y un nivel a baja frecuencia.
+// =====================================================
+
+// Filtro biquad (fórmulas RBJ) para separar la banda de voz
+class Biquad {
+  constructor(type, frequency, q = Math.SQRT1_2) {
+    const w0 = (2 * Math.PI * frequency) / sampleRate;
+    const alpha = Math.sin(w0) / (2 * q);
+    const cos = Math.cos(w0);
+    const a0 = 1 + alpha;
+
+    if (type === "highpass") {
+      this.b0 = (1 + cos) / 2 / a0;
+      this.b1 = -(1 + cos) / a0;
+      this.b2 = (1 + cos) / 2 / a0;
+    } else {
+      this.b0 = (1 - cos) / 2 / a0;
+      this.b1 = (1 - cos) / a0;
+      this.b2 = (1 - cos) / 2 / a0;
+    }
+    this.a1 = (-2 * cos) / a0;
+    this.a2 = (1 - alpha) / a0;
+
+    this.x1 = this.x2 = this.y1 = this.y2 = 0;
+  }
+
+  process(x) {
+    const y =
+      this.b0 * x +
+      this.b1 * this.x1 +
+      this.b2 * this.x2 -
+      this.a1 * this.y1 -
+      this.a2 * this.y2;
+    this.x2 = this.x1;
+    this.x1 = x;
+    this.y2 = this.y1;
+    this.y1 = y;
+    return y;
+  }
+}
+
+class VoiceActivityProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+
+    const config = options.processorOptions || {};
+    this.threshold = -30;
+    this.silenceThreshold = -42;
+    this.attackMs = 40; // Tiempo sobre el umbral para empezar a hablar
+    this.releaseMs = 500; // Tiempo en silencio para dejar de hablar
+    this.levelIntervalMs = 250; // Frecuencia de los reportes de nivel
+    this.minVoiceRatio = 0.4; // Fracción mínima de energía en banda de voz
+    this.applyConfig(config);
+
+    this.highpass = new Biquad("highpass", 300);
+    this.lowpass = new Biquad("lowpass", 3400);
+
+    this.isTalking = false;
+    this.aboveMs = 0;
+    this.belowMs = 0;
+    this.sinceLevelMs = 0;
+    this.levelSum = 0;
+    this.levelBlocks = 0;
+
+    this.port.onmessage = (event) => {
+      if (event.data.type === "config") {
+        this.applyConfig(event.data);
+      }
+    };
+  }
+
+  applyConfig(config) {
+    [
+      "threshold",
+      "silenceThreshold",
+      "attackMs",
+      "releaseMs",
+      "levelIntervalMs",
+      "minVoiceRatio",
+    ].forEach((key) => {
+      if (typeof config[key] === "number") this[key] = config[key];
+    });
+  }
+
+  process(inputs) {
+    const channel = inputs[0] && inputs[0][0];
+    if (!channel) return true;
+
+    let energy = 0;
+    let voiceEnergy = 0;
+    for (let i = 0; i < channel.length; i++) {
+      const sample = channel[i];
+      const voice = this.lowpass.process(this.highpass.process(sample));
+      energy += sample * sample;
+      voiceEnergy += voice * voice;
+    }
+
+    const rms = Math.sqrt(energy / channel.length);
+    const db = 20 * Math.log10(rms + 1e-10);
+    const voiceRatio = energy > 0 ? voiceEnergy / energy : 0;
+    const blockMs = (channel.length / sampleRate) * 1000;
+
+    if (!this.isTalking) {
+      // Ataque: superar el umbral con energía de voz durante attackMs
+      const isVoice = db > this.threshold && voiceRatio >= this.minVoiceRatio;
+      this.aboveMs = isVoice ? this.aboveMs + blockMs : 0;
+
+      if (this.aboveMs >= this.attackMs) {
+        this.isTalking = true;
+        this.belowMs = 0;
+        this.port.postMessage({ type: "state", isTalking: true, db });
+      }
+    } else {
+      // Liberación: por debajo de silenceThreshold durante releaseMs
+      const isSilence =
+        db < this.silenceThreshold || voiceRatio < this.minVoiceRatio / 2;
+      this.belowMs = isSilence ? this.belowMs + blockMs : 0;
+
+      if (this.belowMs >= this.releaseMs) {
+        this.isTalking = false;
+        this.aboveMs = 0;
+        this.port.postMessage({ type: "state", isTalking: false, db });
+      }
+    }
+
+    // Nivel medio del intervalo, reportado a baja frecuencia
+    this.levelSum += db;
+    this.levelBlocks++;
+    this.sinceLevelMs += blockMs;
+    if (this.sinceLevelMs >= this.levelIntervalMs) {
+      this.port.postMessage({
+        type: "level",
+        isTalking: this.isTalking,
+        db: this.levelSum / this.levelBlocks,
+      });
+      this.sinceLevelMs = 0;
+      this.levelSum = 0;
+      this.levelBlocks = 0;
+    }
+
+    return true;
+  }
+}
+
+registerProcessor("vad-processor", VoiceActivityProcessor);